@@ -62,12 +62,769 @@ CREATE TABLE IF NOT EXISTS public.likes (
   UNIQUE (user_id, reply_id)
 );
 
+-- Polls: any number of options (poll_a/poll_b kept for older clients)
+ALTER TABLE public.threads ADD COLUMN IF NOT EXISTS poll_options   JSONB;
+ALTER TABLE public.threads ADD COLUMN IF NOT EXISTS poll_closes_at TIMESTAMPTZ;
+
+-- Debates: which side a reply argues (only set on replies in debate threads)
+ALTER TABLE public.replies ADD COLUMN IF NOT EXISTS debate_side TEXT
+  CHECK (debate_side IN ('for','against'));
+CREATE INDEX IF NOT EXISTS replies_thread_side_idx ON public.replies (thread_id, debate_side);
+
+CREATE TABLE IF NOT EXISTS public.poll_votes (
+  id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  thread_id    UUID REFERENCES public.threads(id) ON DELETE CASCADE NOT NULL,
+  user_id      UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  option_index INT NOT NULL CHECK (option_index >= 0),
+  created_at   TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (thread_id, user_id)
+);
+
+-- Sessions (one row per signed-in device; refresh token stored hashed)
+CREATE TABLE IF NOT EXISTS public.sessions (
+  id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id      UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  refresh_hash TEXT NOT NULL,
+  expires_at   TIMESTAMPTZ NOT NULL,
+  revoked_at   TIMESTAMPTZ,
+  created_at   TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS sessions_user_idx ON public.sessions (user_id);
+
+-- RSVPs (replaces the events.rsvps JSON array as the source of truth)
+CREATE TABLE IF NOT EXISTS public.event_rsvps (
+  id         UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_id   UUID REFERENCES public.events(id) ON DELETE CASCADE NOT NULL,
+  user_id    UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  status     TEXT NOT NULL CHECK (status IN ('going','interested','waitlisted')),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (event_id, user_id)
+);
+CREATE INDEX IF NOT EXISTS event_rsvps_queue_idx ON public.event_rsvps (event_id, status, updated_at);
+
+-- One-off backfill from the old JSON column
+INSERT INTO public.event_rsvps (event_id, user_id, status)
+SELECT e.id, (r->>'userId')::uuid, r->>'status'
+FROM public.events e, jsonb_array_elements(COALESCE(e.rsvps, '[]'::jsonb)) r
+WHERE r->>'status' IN ('going','interested')
+ON CONFLICT (event_id, user_id) DO NOTHING;
+
+-- Recurring events: RFC 5545 RRULE (FREQ/INTERVAL/COUNT/UNTIL/BYDAY/BYMONTHDAY)
+-- anchored at date/time, with EXDATE-style exclusions as 'YYYY-MM-DD' strings.
+ALTER TABLE public.events ADD COLUMN IF NOT EXISTS rrule   TEXT;
+ALTER TABLE public.events ADD COLUMN IF NOT EXISTS exdates JSONB NOT NULL DEFAULT '[]';
+
+-- RSVPs to a single occurrence carry its date; NULL means the whole series
+ALTER TABLE public.event_rsvps ADD COLUMN IF NOT EXISTS occurrence_date DATE;
+ALTER TABLE public.event_rsvps DROP CONSTRAINT IF EXISTS event_rsvps_event_id_user_id_key;
+ALTER TABLE public.event_rsvps ADD CONSTRAINT event_rsvps_occurrence_key
+  UNIQUE NULLS NOT DISTINCT (event_id, user_id, occurrence_date);
+
+-- Seats taken in one capacity bucket. A whole-series RSVP holds a seat at
+-- every occurrence, so an occurrence counts series seats plus its own, and
+-- the series bucket counts series seats plus its busiest occurrence.
+CREATE OR REPLACE FUNCTION public.rsvp_going_count(p_event UUID, p_occurrence DATE)
+RETURNS INT LANGUAGE sql STABLE AS $$
+  SELECT (SELECT count(*) FROM public.event_rsvps
+           WHERE event_id = p_event AND status = 'going' AND occurrence_date IS NULL)::INT
+       + CASE WHEN p_occurrence IS NULL THEN
+           COALESCE((SELECT max(c) FROM (
+             SELECT count(*) AS c FROM public.event_rsvps
+              WHERE event_id = p_event AND status = 'going' AND occurrence_date IS NOT NULL
+              GROUP BY occurrence_date) per_occurrence), 0)::INT
+         ELSE
+           (SELECT count(*) FROM public.event_rsvps
+             WHERE event_id = p_event AND status = 'going' AND occurrence_date = p_occurrence)::INT
+         END;
+$$;
+
+-- Applies one RSVP change under a row lock on the event, so concurrent
+-- requests can't overfill it. Same status again (or 'cancel') removes the
+-- RSVP; "going" on a full event joins the FIFO waitlist; freed seats are
+-- handed to the longest-waiting users of each occurrence. events.rsvps is
+-- rewritten as a read-only mirror of series-level RSVPs for older clients.
+DROP FUNCTION IF EXISTS public.rsvp_event(UUID, UUID, TEXT);
+CREATE OR REPLACE FUNCTION public.rsvp_event(p_event UUID, p_user UUID, p_status TEXT,
+                                             p_occurrence DATE DEFAULT NULL)
+RETURNS JSONB LANGUAGE plpgsql AS $$
+DECLARE
+  v_max      INT;
+  v_current  TEXT;
+  v_result   TEXT;
+  v_bucket   DATE;
+  v_next     UUID;
+  v_promoted JSONB := '[]';
+  v_position INT;
+BEGIN
+  SELECT max_attendees INTO v_max FROM public.events WHERE id = p_event FOR UPDATE;
+  IF NOT FOUND THEN RAISE EXCEPTION 'event_not_found'; END IF;
+
+  SELECT status INTO v_current FROM public.event_rsvps
+   WHERE event_id = p_event AND user_id = p_user
+     AND occurrence_date IS NOT DISTINCT FROM p_occurrence;
+
+  IF p_status = 'cancel' OR v_current = p_status
+     OR (v_current = 'waitlisted' AND p_status = 'going') THEN
+    DELETE FROM public.event_rsvps
+     WHERE event_id = p_event AND user_id = p_user
+       AND occurrence_date IS NOT DISTINCT FROM p_occurrence;
+  ELSE
+    v_result := p_status;
+    IF p_status = 'going' AND v_max IS NOT NULL
+       AND public.rsvp_going_count(p_event, p_occurrence) >= v_max THEN
+      v_result := 'waitlisted';
+    END IF;
+    INSERT INTO public.event_rsvps (event_id, user_id, status, occurrence_date)
+    VALUES (p_event, p_user, v_result, p_occurrence)
+    ON CONFLICT (event_id, user_id, occurrence_date)
+    DO UPDATE SET status = EXCLUDED.status, updated_at = NOW();
+  END IF;
+
+  IF v_max IS NOT NULL THEN
+    FOR v_bucket IN SELECT DISTINCT occurrence_date FROM public.event_rsvps
+                     WHERE event_id = p_event AND status = 'waitlisted' LOOP
+      LOOP
+        EXIT WHEN public.rsvp_going_count(p_event, v_bucket) >= v_max;
+        v_next := NULL;
+        UPDATE public.event_rsvps SET status = 'going', updated_at = NOW()
+         WHERE id = (SELECT id FROM public.event_rsvps
+                      WHERE event_id = p_event AND status = 'waitlisted'
+                        AND occurrence_date IS NOT DISTINCT FROM v_bucket
+                      ORDER BY updated_at, created_at LIMIT 1)
+        RETURNING user_id INTO v_next;
+        EXIT WHEN v_next IS NULL;
+        v_promoted := v_promoted || jsonb_build_object('user_id', v_next, 'occurrence_date', v_bucket);
+      END LOOP;
+    END LOOP;
+  END IF;
+
+  IF v_result = 'waitlisted' THEN
+    SELECT count(*) INTO v_position FROM public.event_rsvps
+     WHERE event_id = p_event AND status = 'waitlisted'
+       AND occurrence_date IS NOT DISTINCT FROM p_occurrence
+       AND updated_at <= (SELECT updated_at FROM public.event_rsvps
+                           WHERE event_id = p_event AND user_id = p_user
+                             AND occurrence_date IS NOT DISTINCT FROM p_occurrence);
+  END IF;
+
+  UPDATE public.events SET rsvps = COALESCE((
+    SELECT jsonb_agg(jsonb_build_object(
+             'userId', r.user_id, 'username', u.username,
+             'avatar', COALESCE(u.avatar, ''), 'status', r.status) ORDER BY r.created_at)
+      FROM public.event_rsvps r JOIN public.users u ON u.id = r.user_id
+     WHERE r.event_id = p_event AND r.status <> 'waitlisted' AND r.occurrence_date IS NULL),
+    '[]'::jsonb)
+   WHERE id = p_event;
+
+  RETURN jsonb_build_object(
+    'previous', v_current, 'status', v_result,
+    'waitlist_position', v_position, 'promoted', v_promoted);
+END;
+$$;
+
+-- Calendar feeds: one subscribable URL per user, token stored hashed
+CREATE TABLE IF NOT EXISTS public.calendar_feeds (
+  user_id    UUID PRIMARY KEY REFERENCES public.users(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Private / paid communities: join requests and invite links
+CREATE TABLE IF NOT EXISTS public.community_join_requests (
+  id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  community_id UUID REFERENCES public.communities(id) ON DELETE CASCADE NOT NULL,
+  user_id      UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  status       TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','approved','rejected')),
+  decided_by   UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  decided_at   TIMESTAMPTZ,
+  created_at   TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS community_join_requests_pending_idx
+  ON public.community_join_requests (community_id, user_id) WHERE status = 'pending';
+
+CREATE TABLE IF NOT EXISTS public.community_invites (
+  id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  community_id UUID REFERENCES public.communities(id) ON DELETE CASCADE NOT NULL,
+  code         TEXT NOT NULL UNIQUE,
+  created_by   UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  max_uses     INT CHECK (max_uses > 0),
+  uses         INT NOT NULL DEFAULT 0,
+  expires_at   TIMESTAMPTZ,
+  created_at   TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Community roles, mutes, bans and thread locks
+ALTER TABLE public.community_members ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'member'
+  CHECK (role IN ('owner','moderator','member'));
+ALTER TABLE public.community_members ADD COLUMN IF NOT EXISTS muted_until TIMESTAMPTZ;
+UPDATE public.community_members m SET role = 'owner'
+  FROM public.communities c
+ WHERE c.id = m.community_id AND c.creator_id = m.user_id AND m.role = 'member';
+
+CREATE TABLE IF NOT EXISTS public.community_bans (
+  community_id UUID REFERENCES public.communities(id) ON DELETE CASCADE NOT NULL,
+  user_id      UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  banned_by    UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  reason       TEXT,
+  expires_at   TIMESTAMPTZ,
+  created_at   TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (community_id, user_id)
+);
+
+ALTER TABLE public.threads ADD COLUMN IF NOT EXISTS locked BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Redeems an invite under a row lock so max_uses can't be overrun
+CREATE OR REPLACE FUNCTION public.redeem_community_invite(p_code TEXT, p_user UUID)
+RETURNS JSONB LANGUAGE plpgsql AS $$
+DECLARE
+  v_invite public.community_invites%ROWTYPE;
+  v_joined BOOLEAN;
+BEGIN
+  SELECT * INTO v_invite FROM public.community_invites WHERE code = p_code FOR UPDATE;
+  IF NOT FOUND
+     OR (v_invite.expires_at IS NOT NULL AND v_invite.expires_at <= NOW())
+     OR (v_invite.max_uses IS NOT NULL AND v_invite.uses >= v_invite.max_uses) THEN
+    RAISE EXCEPTION 'invite_invalid';
+  END IF;
+  IF EXISTS (SELECT 1 FROM public.community_bans
+              WHERE community_id = v_invite.community_id AND user_id = p_user
+                AND (expires_at IS NULL OR expires_at > NOW())) THEN
+    RAISE EXCEPTION 'banned';
+  END IF;
+
+  INSERT INTO public.community_members (user_id, community_id)
+  VALUES (p_user, v_invite.community_id)
+  ON CONFLICT (user_id, community_id) DO NOTHING;
+  v_joined := FOUND;
+
+  IF v_joined THEN
+    UPDATE public.community_invites SET uses = uses + 1 WHERE id = v_invite.id;
+    UPDATE public.community_join_requests
+       SET status = 'approved', decided_by = v_invite.created_by, decided_at = NOW()
+     WHERE community_id = v_invite.community_id AND user_id = p_user AND status = 'pending';
+  END IF;
+
+  RETURN jsonb_build_object('community_id', v_invite.community_id, 'joined', v_joined);
+END;
+$$;
+
+-- Content reports and platform moderation
+ALTER TABLE public.users    ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'user'
+  CHECK (role IN ('user','admin'));
+ALTER TABLE public.users    ADD COLUMN IF NOT EXISTS suspended_until TIMESTAMPTZ;
+ALTER TABLE public.threads  ADD COLUMN IF NOT EXISTS hidden BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE public.replies  ADD COLUMN IF NOT EXISTS hidden BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE public.comments ADD COLUMN IF NOT EXISTS hidden BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS public.reports (
+  id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  reporter_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  target_type TEXT NOT NULL CHECK (target_type IN ('thread','reply','comment','message','user')),
+  target_id   UUID NOT NULL,
+  target_user UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  reason      TEXT NOT NULL,
+  details     TEXT,
+  status      TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','claimed','resolved','dismissed')),
+  claimed_by  UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  claimed_at  TIMESTAMPTZ,
+  resolved_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMPTZ,
+  resolution  TEXT CHECK (resolution IN ('dismissed','removed','warned','suspended')),
+  note        TEXT,
+  created_at  TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (reporter_id, target_type, target_id)
+);
+CREATE INDEX IF NOT EXISTS reports_queue_idx  ON public.reports (status, created_at);
+CREATE INDEX IF NOT EXISTS reports_target_idx ON public.reports (target_type, target_id);
+
+-- User blocks
+CREATE TABLE IF NOT EXISTS public.user_blocks (
+  blocker_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  blocked_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (blocker_id, blocked_id),
+  CHECK (blocker_id <> blocked_id)
+);
+CREATE INDEX IF NOT EXISTS user_blocks_blocked_idx ON public.user_blocks (blocked_id);
+
+-- DM read receipts and the conversation inbox
+ALTER TABLE public.messages ADD COLUMN IF NOT EXISTS read_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS messages_pair_idx   ON public.messages (from_user, to_user, created_at DESC);
+CREATE INDEX IF NOT EXISTS messages_unread_idx ON public.messages (to_user, from_user) WHERE read_at IS NULL;
+
+-- One row per conversation partner: the latest message and the unread count
+CREATE OR REPLACE FUNCTION public.conversation_list(p_user UUID)
+RETURNS TABLE (partner_id UUID, last_message_id UUID, last_message TEXT, last_from UUID,
+               last_at TIMESTAMPTZ, last_read_at TIMESTAMPTZ, unread_count BIGINT)
+LANGUAGE sql STABLE AS $$
+  WITH mine AS (
+    SELECT m.*, CASE WHEN m.from_user = p_user THEN m.to_user ELSE m.from_user END AS partner
+      FROM public.messages m
+     WHERE m.from_user = p_user OR m.to_user = p_user
+  ), latest AS (
+    SELECT DISTINCT ON (partner) partner, id, message, from_user, created_at, read_at
+      FROM mine ORDER BY partner, created_at DESC, id DESC
+  )
+  SELECT l.partner, l.id, l.message, l.from_user, l.created_at, l.read_at,
+         (SELECT count(*) FROM mine u
+           WHERE u.partner = l.partner AND u.to_user = p_user AND u.read_at IS NULL)
+    FROM latest l
+   ORDER BY l.created_at DESC;
+$$;
+
+-- Group conversations (squads) and per-event chat rooms
+CREATE TABLE IF NOT EXISTS public.group_conversations (
+  id         UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name       TEXT NOT NULL,
+  created_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  event_id   UUID UNIQUE REFERENCES public.events(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.group_members (
+  conversation_id UUID REFERENCES public.group_conversations(id) ON DELETE CASCADE NOT NULL,
+  user_id         UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  role            TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('admin','member')),
+  muted           BOOLEAN NOT NULL DEFAULT FALSE,
+  last_read_at    TIMESTAMPTZ DEFAULT NOW(),
+  joined_at       TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (conversation_id, user_id)
+);
+CREATE INDEX IF NOT EXISTS group_members_user_idx ON public.group_members (user_id);
+
+CREATE TABLE IF NOT EXISTS public.group_messages (
+  id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  conversation_id UUID REFERENCES public.group_conversations(id) ON DELETE CASCADE NOT NULL,
+  user_id         UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  message         TEXT NOT NULL,
+  created_at      TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS group_messages_page_idx ON public.group_messages (conversation_id, created_at DESC, id DESC);
+
+-- Group inbox (GET /api/groups): the user's groups with their role, the last
+-- message and how many messages from others arrived since they last read,
+-- most recently active first
+CREATE OR REPLACE FUNCTION public.group_list(p_user UUID)
+RETURNS TABLE (id UUID, name TEXT, created_by UUID, event_id UUID, created_at TIMESTAMPTZ,
+               role TEXT, muted BOOLEAN, last_message_id UUID, last_message TEXT, last_from UUID,
+               last_at TIMESTAMPTZ, unread_count BIGINT)
+LANGUAGE sql STABLE AS $$
+  SELECT g.id, g.name, g.created_by, g.event_id, g.created_at, m.role, m.muted,
+         l.id, l.message, l.user_id, l.created_at,
+         (SELECT count(*) FROM public.group_messages u
+           WHERE u.conversation_id = g.id AND u.created_at > m.last_read_at AND u.user_id <> p_user)
+    FROM public.group_members m
+    JOIN public.group_conversations g ON g.id = m.conversation_id
+    LEFT JOIN LATERAL (
+      SELECT gm.id, gm.message, gm.user_id, gm.created_at FROM public.group_messages gm
+       WHERE gm.conversation_id = g.id ORDER BY gm.created_at DESC, gm.id DESC LIMIT 1
+    ) l ON TRUE
+   WHERE m.user_id = p_user
+   ORDER BY COALESCE(l.created_at, g.created_at) DESC;
+$$;
+
+-- Keeps an event's chat room in step with its "going" list, including
+-- waitlist promotions made inside rsvp_event(). Room admins are never removed.
+CREATE OR REPLACE FUNCTION public.sync_event_chat()
+RETURNS TRIGGER LANGUAGE plpgsql AS $$
+DECLARE
+  v_event UUID := COALESCE(NEW.event_id, OLD.event_id);
+  v_user  UUID := COALESCE(NEW.user_id, OLD.user_id);
+  v_room  UUID;
+BEGIN
+  SELECT id INTO v_room FROM public.group_conversations WHERE event_id = v_event;
+  IF v_room IS NULL THEN RETURN NULL; END IF;
+  IF EXISTS (SELECT 1 FROM public.event_rsvps
+              WHERE event_id = v_event AND user_id = v_user AND status = 'going') THEN
+    INSERT INTO public.group_members (conversation_id, user_id)
+    VALUES (v_room, v_user) ON CONFLICT DO NOTHING;
+  ELSE
+    DELETE FROM public.group_members
+     WHERE conversation_id = v_room AND user_id = v_user AND role <> 'admin';
+  END IF;
+  RETURN NULL;
+END;
+$$;
+DROP TRIGGER IF EXISTS event_rsvps_chat_sync ON public.event_rsvps;
+CREATE TRIGGER event_rsvps_chat_sync
+  AFTER INSERT OR UPDATE OR DELETE ON public.event_rsvps
+  FOR EACH ROW EXECUTE FUNCTION public.sync_event_chat();
+
+-- Structured notification preferences (replaces the free-form users.notif_pref).
+-- types maps a notification type to 'on' | 'off' | 'digest'; missing types use
+-- default_mode. Quiet hours are local HH:MM in the user's timezone and may wrap
+-- midnight.
+CREATE TABLE IF NOT EXISTS public.notification_preferences (
+  user_id           UUID PRIMARY KEY REFERENCES public.users(id) ON DELETE CASCADE,
+  types             JSONB NOT NULL DEFAULT '{}',
+  default_mode      TEXT NOT NULL DEFAULT 'on' CHECK (default_mode IN ('on', 'off', 'digest')),
+  muted_communities UUID[] NOT NULL DEFAULT '{}',
+  muted_threads     UUID[] NOT NULL DEFAULT '{}',
+  quiet_start       TEXT,
+  quiet_end         TEXT,
+  timezone          TEXT NOT NULL DEFAULT 'UTC',
+  updated_at        TIMESTAMPTZ DEFAULT NOW()
+);
+-- Carry recognised legacy notif_pref values over (LEGACY_NOTIF_PREFS in the app)
+INSERT INTO public.notification_preferences (user_id, default_mode)
+SELECT u.id, m.mode
+FROM public.users u
+JOIN (VALUES ('all', 'on'), ('on', 'on'), ('digest', 'digest'), ('off', 'off'), ('none', 'off')) AS m (pref, mode)
+  ON lower(u.notif_pref) = m.pref
+ON CONFLICT (user_id) DO NOTHING;
+-- Digest-only notifications stay out of the inbox and the live stream
+ALTER TABLE public.notifications ADD COLUMN IF NOT EXISTS digest BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Grouped notifications: repeated notifications of one type on one target
+-- (group_key) within a window fold into a single row that lists its actors.
+-- updated_at moves whenever a new actor joins, and the inbox sorts by it.
+ALTER TABLE public.notifications ADD COLUMN IF NOT EXISTS group_key   TEXT;
+ALTER TABLE public.notifications ADD COLUMN IF NOT EXISTS actor_ids   UUID[] NOT NULL DEFAULT '{}';
+ALTER TABLE public.notifications ADD COLUMN IF NOT EXISTS actor_count INT NOT NULL DEFAULT 1;
+ALTER TABLE public.notifications ADD COLUMN IF NOT EXISTS updated_at  TIMESTAMPTZ;
+UPDATE public.notifications SET updated_at = created_at WHERE updated_at IS NULL;
+ALTER TABLE public.notifications ALTER COLUMN updated_at SET DEFAULT NOW();
+CREATE INDEX IF NOT EXISTS notifications_inbox_idx ON public.notifications (user_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS notifications_group_idx ON public.notifications (user_id, type, group_key, updated_at DESC)
+  WHERE group_key IS NOT NULL;
+
+-- Adds an actor to the open group for (user, type, key) or starts a new one.
+-- The advisory lock serialises concurrent likes/RSVPs on the same target.
+-- Returns the written row, or nothing when the actor is already listed.
+-- actor_ids keeps the 50 most recent actors; actor_count is the full total.
+CREATE OR REPLACE FUNCTION public.upsert_grouped_notification(
+  p_user UUID, p_type TEXT, p_group_key TEXT, p_actor UUID, p_actor_name TEXT,
+  p_title TEXT, p_action_many TEXT, p_body TEXT, p_data JSONB,
+  p_digest BOOLEAN, p_window_minutes INT
+) RETURNS SETOF public.notifications LANGUAGE plpgsql AS $$
+DECLARE
+  v_row public.notifications;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext(p_user::text || ':' || p_type || ':' || p_group_key));
+
+  SELECT * INTO v_row FROM public.notifications
+   WHERE user_id = p_user AND type = p_type AND group_key = p_group_key AND digest = p_digest
+     AND updated_at > NOW() - make_interval(mins => p_window_minutes)
+   ORDER BY updated_at DESC LIMIT 1;
+
+  IF v_row.id IS NULL THEN
+    INSERT INTO public.notifications
+      (user_id, type, title, body, data, digest, group_key, actor_ids, actor_count)
+    VALUES (p_user, p_type, p_title, p_body, p_data, p_digest, p_group_key, ARRAY[p_actor], 1)
+    RETURNING * INTO v_row;
+    RETURN NEXT v_row;
+    RETURN;
+  END IF;
+  IF p_actor = ANY(v_row.actor_ids) THEN RETURN; END IF;
+
+  UPDATE public.notifications SET
+    actor_ids   = (array_prepend(p_actor, actor_ids))[1:50],
+    actor_count = actor_count + 1,
+    title       = p_actor_name || ' and ' || actor_count ||
+                  CASE WHEN actor_count = 1 THEN ' other ' ELSE ' others ' END || p_action_many,
+    body        = p_body,
+    data        = p_data,
+    read        = FALSE,
+    updated_at  = NOW()
+  WHERE id = v_row.id
+  RETURNING * INTO v_row;
+  RETURN NEXT v_row;
+END;
+$$;
+
+-- Email verification. Accounts that existed before verification shipped are
+-- treated as verified; new signups start unverified.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                  WHERE table_schema = 'public' AND table_name = 'users'
+                    AND column_name = 'email_verified_at') THEN
+    ALTER TABLE public.users ADD COLUMN email_verified_at TIMESTAMPTZ;
+    UPDATE public.users SET email_verified_at = COALESCE(created_at, NOW());
+  END IF;
+END $$;
+
+-- Single-use, expiring tokens mailed for email verification and password
+-- reset. Only the SHA-256 of the token is stored.
+CREATE TABLE IF NOT EXISTS public.email_tokens (
+  id         UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id    UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  purpose    TEXT NOT NULL CHECK (purpose IN ('verify','reset')),
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at    TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS email_tokens_user_idx ON public.email_tokens (user_id, purpose, created_at DESC);
+
+-- Profile visibility: public (everyone), friends (accepted friends) and
+-- private (friends and approved followers). Following a private account
+-- creates a pending request. hide_presence keeps online/last_seen to oneself.
+ALTER TABLE public.users   ADD COLUMN IF NOT EXISTS visibility TEXT;
+ALTER TABLE public.users   ADD COLUMN IF NOT EXISTS hide_presence BOOLEAN NOT NULL DEFAULT FALSE;
+UPDATE public.users SET visibility = 'public'
+ WHERE visibility IS NULL OR visibility NOT IN ('public','friends','private');
+ALTER TABLE public.users   ALTER COLUMN visibility SET DEFAULT 'public';
+ALTER TABLE public.users   ALTER COLUMN visibility SET NOT NULL;
+ALTER TABLE public.users   DROP CONSTRAINT IF EXISTS users_visibility_check;
+ALTER TABLE public.users   ADD CONSTRAINT users_visibility_check
+  CHECK (visibility IN ('public','friends','private'));
+ALTER TABLE public.follows ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'accepted'
+  CHECK (status IN ('accepted','pending'));
+CREATE INDEX IF NOT EXISTS follows_pending_idx ON public.follows (following_id) WHERE status = 'pending';
+
+CREATE OR REPLACE FUNCTION public.can_view_profile(p_owner UUID, p_visibility TEXT, p_viewer UUID)
+RETURNS BOOLEAN LANGUAGE sql STABLE AS $$
+  SELECT p_visibility = 'public'
+      OR p_owner = p_viewer
+      OR EXISTS (SELECT 1 FROM public.friends f
+                  WHERE f.status = 'accepted'
+                    AND ((f.sender_id = p_owner AND f.receiver_id = p_viewer)
+                      OR (f.receiver_id = p_owner AND f.sender_id = p_viewer)))
+      OR (p_visibility = 'private' AND EXISTS (
+            SELECT 1 FROM public.follows w
+             WHERE w.follower_id = p_viewer AND w.following_id = p_owner AND w.status = 'accepted'));
+$$;
+
+-- Event co-hosts share the host's invitation rights
+CREATE TABLE IF NOT EXISTS public.event_cohosts (
+  event_id   UUID REFERENCES public.events(id) ON DELETE CASCADE NOT NULL,
+  user_id    UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  added_by   UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (event_id, user_id)
+);
+
+-- One invitation per (event, invitee). Accepting creates the RSVP; an RSVP
+-- made directly also marks a pending invitation accepted.
+CREATE TABLE IF NOT EXISTS public.event_invitations (
+  id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_id     UUID REFERENCES public.events(id) ON DELETE CASCADE NOT NULL,
+  invitee_id   UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  invited_by   UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  source       TEXT NOT NULL DEFAULT 'user' CHECK (source IN ('user','friends','community')),
+  status       TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','accepted','declined')),
+  send_count   INT NOT NULL DEFAULT 1,
+  last_sent_at TIMESTAMPTZ DEFAULT NOW(),
+  responded_at TIMESTAMPTZ,
+  created_at   TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (event_id, invitee_id)
+);
+CREATE INDEX IF NOT EXISTS event_invitations_invitee_idx ON public.event_invitations (invitee_id, status);
+
+-- Event privacy levels: public (listed for everyone), friends (the host's
+-- accepted friends), invite_only (invitees) and unlisted (anyone holding the
+-- share link, never listed). Hosts, co-hosts and people who RSVPed or were
+-- invited can always see an event. Legacy non-public values become invite_only.
+ALTER TABLE public.events ADD COLUMN IF NOT EXISTS share_token TEXT UNIQUE;
+UPDATE public.events SET privacy = 'public' WHERE privacy IS NULL;
+UPDATE public.events SET privacy = 'invite_only'
+ WHERE privacy NOT IN ('public','friends','invite_only','unlisted');
+ALTER TABLE public.events ALTER COLUMN privacy SET DEFAULT 'public';
+ALTER TABLE public.events ALTER COLUMN privacy SET NOT NULL;
+ALTER TABLE public.events DROP CONSTRAINT IF EXISTS events_privacy_check;
+ALTER TABLE public.events ADD CONSTRAINT events_privacy_check
+  CHECK (privacy IN ('public','friends','invite_only','unlisted'));
+
+-- Events a user may see in lists and search. Unlisted events only show up
+-- for their hosts; everyone else reaches them through the share link.
+CREATE OR REPLACE FUNCTION public.listable_events(p_user UUID)
+RETURNS SETOF public.events LANGUAGE sql STABLE AS $$
+  SELECT e.* FROM public.events e
+   WHERE e.privacy = 'public'
+      OR (p_user IS NOT NULL AND (
+           e.created_by = p_user
+        OR EXISTS (SELECT 1 FROM public.event_cohosts c WHERE c.event_id = e.id AND c.user_id = p_user)
+        OR (e.privacy <> 'unlisted' AND (
+              EXISTS (SELECT 1 FROM public.event_rsvps r WHERE r.event_id = e.id AND r.user_id = p_user)
+           OR EXISTS (SELECT 1 FROM public.event_invitations i WHERE i.event_id = e.id AND i.invitee_id = p_user)
+           OR (e.privacy = 'friends' AND EXISTS (
+                SELECT 1 FROM public.friends f
+                 WHERE f.status = 'accepted'
+                   AND ((f.sender_id = e.created_by AND f.receiver_id = p_user)
+                     OR (f.receiver_id = e.created_by AND f.sender_id = p_user))))
+        ))
+      ));
+$$;
+
+-- Unified search (GET /api/search). Full-text matches rank by ts_rank; typo
+-- tolerance comes from trigram word similarity on names, titles and usernames.
+-- Visibility mirrors the API: listable_events(), non-private or
+-- joined communities, threads readable under canReadThread, and no users who
+-- blocked the searcher; bios the searcher can't see don't match. Each type is
+-- matched through its indexes and capped at 1000 best hits before the union,
+-- so facets and total count at most 1000 per type. Returns
+-- { items, facets, total } as one JSON value.
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX IF NOT EXISTS events_name_trgm_idx      ON public.events      USING gin (lower(name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS communities_name_trgm_idx ON public.communities USING gin (lower(name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS threads_title_trgm_idx    ON public.threads     USING gin (lower(title) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS users_username_trgm_idx   ON public.users       USING gin (lower(username) gin_trgm_ops);
+
+-- tags::TEXT is only STABLE in general; its text form never changes, so this
+-- wrapper lets the event document go into an expression index
+CREATE OR REPLACE FUNCTION public.search_text_of(p_value anyelement)
+RETURNS TEXT LANGUAGE sql IMMUTABLE AS $$ SELECT p_value::TEXT $$;
+
+CREATE INDEX IF NOT EXISTS events_search_idx ON public.events USING gin (to_tsvector('simple',
+  coalesce(name, '') || ' ' || coalesce(description, '') || ' ' || coalesce(location, '') || ' ' ||
+  coalesce(public.search_text_of(tags), '')));
+CREATE INDEX IF NOT EXISTS communities_search_idx ON public.communities USING gin (to_tsvector('simple',
+  coalesce(name, '') || ' ' || coalesce(description, '')));
+CREATE INDEX IF NOT EXISTS threads_search_idx ON public.threads USING gin (to_tsvector('simple',
+  coalesce(title, '') || ' ' || coalesce(content, '')));
+CREATE INDEX IF NOT EXISTS users_search_idx ON public.users USING gin (to_tsvector('simple',
+  coalesce(username, '') || ' ' || coalesce(bio, '')));
+
+CREATE OR REPLACE FUNCTION public.search_rank(p_title TEXT, p_body TEXT, p_ts tsquery, p_raw TEXT)
+RETURNS REAL LANGUAGE sql IMMUTABLE AS $$
+  SELECT ts_rank(setweight(to_tsvector('simple', coalesce(p_title, '')), 'A') ||
+                 setweight(to_tsvector('simple', coalesce(p_body, '')), 'B'), p_ts)
+         + word_similarity(p_raw, lower(coalesce(p_title, '')));
+$$;
+
+CREATE OR REPLACE FUNCTION public.search_all(
+  p_query TEXT, p_user UUID, p_types TEXT[], p_limit INT, p_offset INT, p_similarity REAL
+) RETURNS JSONB LANGUAGE plpgsql AS $$
+DECLARE
+  v_ts     tsquery := websearch_to_tsquery('simple', p_query);
+  v_raw    TEXT    := lower(p_query);
+  v_cap    CONSTANT INT := 1000;
+  v_result JSONB;
+BEGIN
+  -- <% reads its threshold from here; scoped to this transaction
+  PERFORM set_config('pg_trgm.word_similarity_threshold', p_similarity::TEXT, true);
+
+  WITH mine AS (
+    SELECT community_id FROM public.community_members WHERE user_id = p_user
+  ),
+  hits AS (
+    (SELECT 'event'::TEXT AS type, e.id, e.name AS title,
+            concat_ws(' ', e.description, e.location, e.tags::TEXT) AS body, e.created_at,
+            jsonb_build_object('date', e.date, 'time', e.time, 'location', e.location,
+                               'category', e.category, 'created_by', e.created_by) AS extra,
+            public.search_rank(e.name, concat_ws(' ', e.description, e.location, e.tags::TEXT), v_ts, v_raw) AS rank
+       FROM public.listable_events(p_user) e
+      WHERE to_tsvector('simple',
+              coalesce(e.name, '') || ' ' || coalesce(e.description, '') || ' ' || coalesce(e.location, '') || ' ' ||
+              coalesce(public.search_text_of(e.tags), '')) @@ v_ts
+         OR v_raw <% lower(e.name)
+      ORDER BY rank DESC LIMIT v_cap)
+    UNION ALL
+    (SELECT 'community', c.id, c.name, coalesce(c.description, ''), c.created_at,
+            jsonb_build_object('community_type', c.type),
+            public.search_rank(c.name, c.description, v_ts, v_raw) AS rank
+       FROM public.communities c
+      WHERE (to_tsvector('simple', coalesce(c.name, '') || ' ' || coalesce(c.description, '')) @@ v_ts
+             OR v_raw <% lower(c.name))
+        AND (c.type <> 'private' OR c.id IN (SELECT community_id FROM mine))
+      ORDER BY rank DESC LIMIT v_cap)
+    UNION ALL
+    (SELECT 'thread', t.id, t.title, coalesce(t.content, ''), t.created_at,
+            jsonb_build_object('community_id', t.community_id, 'thread_type', t.type, 'user_id', t.user_id),
+            public.search_rank(t.title, t.content, v_ts, v_raw) AS rank
+       FROM public.threads t JOIN public.communities c ON c.id = t.community_id
+      WHERE (to_tsvector('simple', coalesce(t.title, '') || ' ' || coalesce(t.content, '')) @@ v_ts
+             OR v_raw <% lower(t.title))
+        AND NOT t.hidden
+        AND ((c.type NOT IN ('private','paid') AND t.visibility <> 'members')
+             OR t.community_id IN (SELECT community_id FROM mine))
+      ORDER BY rank DESC LIMIT v_cap)
+    UNION ALL
+    (SELECT 'user', u.id, u.username, v.bio, u.created_at,
+            jsonb_build_object('avatar', u.avatar),
+            public.search_rank(u.username, v.bio, v_ts, v_raw) AS rank
+       FROM public.users u
+      CROSS JOIN LATERAL (
+        SELECT CASE WHEN public.can_view_profile(u.id, u.visibility, p_user)
+                    THEN coalesce(u.bio, '') ELSE '' END AS bio
+      ) v
+      WHERE (to_tsvector('simple', coalesce(u.username, '') || ' ' || coalesce(u.bio, '')) @@ v_ts
+             OR v_raw <% lower(u.username))
+        AND NOT EXISTS (SELECT 1 FROM public.user_blocks b
+                         WHERE b.blocker_id = u.id AND b.blocked_id = p_user)
+        -- a bio the searcher can't see must not be what matched
+        AND (v_raw <% lower(u.username)
+             OR to_tsvector('simple', coalesce(u.username, '')) @@ v_ts
+             OR v.bio <> '')
+      ORDER BY rank DESC LIMIT v_cap)
+  ),
+  wanted AS (
+    SELECT * FROM hits WHERE p_types IS NULL OR type = ANY(p_types)
+  ),
+  page AS (
+    SELECT w.type, w.id, w.title, w.extra, w.created_at, round(w.rank::NUMERIC, 4) AS rank,
+           ts_headline('simple',
+             replace(replace(replace(CASE WHEN w.body = '' THEN w.title ELSE w.body END,
+               '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+             v_ts, 'StartSel=<mark>, StopSel=</mark>, MaxWords=24, MinWords=10, MaxFragments=2') AS snippet
+      FROM wanted w
+     ORDER BY w.rank DESC, w.created_at DESC, w.id
+     LIMIT p_limit OFFSET p_offset
+  )
+  SELECT jsonb_build_object(
+    'items',  coalesce((SELECT jsonb_agg(to_jsonb(page) ORDER BY page.rank DESC, page.created_at DESC, page.id) FROM page), '[]'),
+    'facets', coalesce((SELECT jsonb_object_agg(type, n) FROM (SELECT type, count(*) AS n FROM hits GROUP BY type) f), '{}'),
+    'total',  (SELECT count(*) FROM wanted)
+  ) INTO v_result;
+  RETURN v_result;
+END $$;
+
+-- Arrivals recorded from scanned tickets: one per attendee per occurrence
+-- (occurrence_date is NULL for one-off events). source is offline for scans
+-- uploaded later through the sync endpoint.
+CREATE TABLE IF NOT EXISTS public.event_checkins (
+  id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_id        UUID REFERENCES public.events(id) ON DELETE CASCADE NOT NULL,
+  user_id         UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  occurrence_date DATE,
+  rsvp_id         UUID REFERENCES public.event_rsvps(id) ON DELETE SET NULL,
+  checked_in_by   UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  source          TEXT NOT NULL DEFAULT 'online' CHECK (source IN ('online','offline')),
+  checked_in_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at      TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE NULLS NOT DISTINCT (event_id, user_id, occurrence_date)
+);
+
+-- Append-only log behind the live stream (GET /api/stream). Channels are
+-- "user:<id>" for personal events and "thread:<id>" for thread activity;
+-- the id doubles as the SSE event id clients resume from. Rows older than
+-- STREAM_RETENTION_HOURS are pruned by the server.
+CREATE TABLE IF NOT EXISTS public.stream_events (
+  id         BIGSERIAL PRIMARY KEY,
+  channel    TEXT NOT NULL,
+  type       TEXT NOT NULL,
+  data       JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS stream_events_channel_idx ON public.stream_events (channel, id);
+CREATE INDEX IF NOT EXISTS stream_events_created_idx ON public.stream_events (created_at);
+
 -- Enable Row Level Security
 ALTER TABLE public.communities       ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.community_members ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.threads           ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.replies           ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.likes             ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.sessions          ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.poll_votes        ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.event_rsvps       ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.calendar_feeds    ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.community_join_requests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.community_invites       ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.community_bans          ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.reports                 ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.user_blocks             ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.group_conversations     ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.group_members           ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.group_messages          ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.stream_events           ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.notification_preferences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.email_tokens            ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.event_cohosts           ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.event_invitations       ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.event_checkins          ENABLE ROW LEVEL SECURITY;
 
 -- RLS Policies
 CREATE POLICY "Anyone can read public communities" ON public.communities FOR SELECT USING (type = 'public');
@@ -79,7 +836,8 @@ CREATE POLICY "Auth users can post replies"        ON public.replies     FOR INS
 CREATE POLICY "Auth users can like"                ON public.likes       FOR INSERT WITH CHECK (auth.uid() = user_id);
 CREATE POLICY "Users can see likes"                ON public.likes       FOR SELECT USING (TRUE);
 CREATE POLICY "Users can manage own likes"         ON public.likes       FOR DELETE USING (auth.uid() = user_id);
-CREATE POLICY "Anyone can join communities"        ON public.community_members FOR INSERT WITH CHECK (auth.uid() = user_id);
+CREATE POLICY "Anyone can join communities"        ON public.community_members FOR INSERT WITH CHECK (
+  auth.uid() = user_id AND EXISTS (SELECT 1 FROM public.communities c WHERE c.id = community_id AND c.type = 'public'));
 CREATE POLICY "Members can view"                   ON public.community_members FOR SELECT USING (TRUE);
 CREATE POLICY "Members can leave"                  ON public.community_members FOR DELETE USING (auth.uid() = user_id);
 
@@ -92,6 +850,10 @@ ALTER PUBLICATION supabase_realtime ADD TABLE public.likes;
 const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
 const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
 
 // NOTE: No dotenv — Vercel injects env vars directly.
 // For local dev: npm install dotenv, then add require('dotenv').config() here.
@@ -102,7 +864,7 @@ const app = express();
 app.use((req, res, next) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,Last-Event-ID');
   if (req.method === 'OPTIONS') return res.sendStatus(200);
   next();
 });
@@ -117,11 +879,257 @@ function getSupabase() {
   return createClient(url, key);
 }
 
-function hashPassword(pw) {
+// ── Passwords ─────────────────────────────────────────────────────────────────
+// Stored as "scrypt$<N>$<r>$<p>$<salt b64>$<hash b64>" with a per-user salt.
+// Accounts created before this format hold a bare SHA-256 hex digest of
+// password + PASSWORD_SALT; those are verified once and upgraded on signin.
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+
+function scrypt(pw, salt, { N, r, p }) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(pw, salt, SCRYPT_KEYLEN, { N, r, p, maxmem: 256 * N * r }, (err, key) =>
+      err ? reject(err) : resolve(key)
+    );
+  });
+}
+
+async function hashPassword(pw) {
+  const salt = crypto.randomBytes(16);
+  const key  = await scrypt(pw, salt, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+function legacyHash(pw) {
   const salt = process.env.PASSWORD_SALT || 'krowdly_salt_2026';
   return crypto.createHash('sha256').update(pw + salt).digest('hex');
 }
 
+// Returns { ok, upgrade } — upgrade is true when the stored hash should be
+// replaced with a fresh one (legacy SHA-256 or outdated scrypt parameters).
+async function verifyPassword(pw, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts[0] === 'scrypt' && parts.length === 6) {
+    const [, N, r, p, salt, hash] = parts;
+    const expected = Buffer.from(hash, 'base64');
+    const key = await scrypt(pw, Buffer.from(salt, 'base64'), { N: +N, r: +r, p: +p });
+    const ok  = key.length === expected.length && crypto.timingSafeEqual(key, expected);
+    const outdated = +N !== SCRYPT_PARAMS.N || +r !== SCRYPT_PARAMS.r || +p !== SCRYPT_PARAMS.p;
+    return { ok, upgrade: ok && outdated };
+  }
+  if (/^[0-9a-f]{64}$/.test(stored || '')) {
+    const ok = crypto.timingSafeEqual(Buffer.from(legacyHash(pw)), Buffer.from(stored));
+    return { ok, upgrade: ok };
+  }
+  return { ok: false, upgrade: false };
+}
+
+// ── Auth tokens ───────────────────────────────────────────────────────────────
+// Access tokens are short-lived HS256 JWTs carrying { sub, sid }.
+// Refresh tokens are opaque "<sessionId>.<secret>" strings; only a hash of the
+// secret is stored, and it is rotated on every refresh.
+const ACCESS_TTL_SEC  = 15 * 60;
+const REFRESH_TTL_SEC = 30 * 24 * 3600;
+
+function tokenSecret() {
+  // Falls back to the service key so existing deploys keep working; set
+  // TOKEN_SECRET to rotate sessions independently of the database key.
+  return process.env.TOKEN_SECRET || process.env.SUPABASE_SERVICE_KEY;
+}
+
+function b64url(obj) {
+  return Buffer.from(JSON.stringify(obj)).toString('base64url');
+}
+
+function signToken(payload, ttlSec) {
+  const now  = Math.floor(Date.now() / 1000);
+  const head = b64url({ alg: 'HS256', typ: 'JWT' });
+  const body = b64url({ ...payload, iat: now, exp: now + ttlSec });
+  const sig  = crypto.createHmac('sha256', tokenSecret()).update(`${head}.${body}`).digest('base64url');
+  return `${head}.${body}.${sig}`;
+}
+
+// Returns the token's claims, or null if the signature or expiry is bad
+function verifyToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3 || !tokenSecret()) return null;
+  const expected = crypto.createHmac('sha256', tokenSecret()).update(`${parts[0]}.${parts[1]}`).digest();
+  const given    = Buffer.from(parts[2], 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  let claims;
+  try { claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')); } catch (_) { return null; }
+  if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+  return claims;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function accessTokenFor(userId, sessionId) {
+  return signToken({ sub: userId, sid: sessionId, typ: 'access' }, ACCESS_TTL_SEC);
+}
+
+// Opens a new session row and returns the token bundle sent to the client
+async function createSession(sb, userId) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const { data: session, error } = await sb
+    .from('sessions')
+    .insert([{
+      user_id: userId,
+      refresh_hash: sha256(secret),
+      expires_at: new Date(Date.now() + REFRESH_TTL_SEC * 1000).toISOString(),
+    }])
+    .select('id')
+    .single();
+  if (error) throw error;
+  return {
+    access_token: accessTokenFor(userId, session.id),
+    refresh_token: `${session.id}.${secret}`,
+    expires_in: ACCESS_TTL_SEC,
+  };
+}
+
+// Resolves the Bearer token to { id, sid }, or null. Revoked sessions are
+// rejected immediately rather than waiting for the access token to expire.
+async function resolveUser(req) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  if (!match) return null;
+  const claims = verifyToken(match[1]);
+  if (!claims || claims.typ !== 'access') return null;
+  const sb = getSupabase();
+  if (!sb) return null;
+  const { data: session } = await sb
+    .from('sessions')
+    .select('id, user_id')
+    .eq('id', claims.sid)
+    .is('revoked_at', null)
+    .maybeSingle();
+  if (!session || session.user_id !== claims.sub) return null;
+  return { id: claims.sub, sid: claims.sid };
+}
+
+// Route middleware — sets req.user or answers 401
+function requireAuth(req, res, next) {
+  resolveUser(req)
+    .then(user => {
+      if (!user) return res.status(401).json({ error: 'Sign in required' });
+      req.user = user;
+      next();
+    })
+    .catch(next);
+}
+
+// Route middleware — sets req.user when a valid token is present, else null
+function optionalAuth(req, res, next) {
+  resolveUser(req)
+    .then(user => { req.user = user; next(); })
+    .catch(next);
+}
+
+// Route middleware, after requireAuth — platform admins only
+function requireAdmin(req, res, next) {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+  sb.from('users').select('role').eq('id', req.user.id).maybeSingle()
+    .then(({ data }) => {
+      if (!data || data.role !== 'admin') return res.status(403).json({ error: 'Admins only' });
+      next();
+    }, next);
+}
+
+// Ids are checked before being interpolated into PostgREST or() filters
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Quotes a user-supplied value for a PostgREST or() filter so commas,
+// parentheses and dots in it can't add or alter filter clauses
+function orValue(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+// Opaque paging cursors: base64url JSON of the last row's sort keys
+function encodeCursor(keys) {
+  return b64url(keys);
+}
+
+function decodeCursor(cursor) {
+  try { return JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8')); } catch (_) { return null; }
+}
+
+// Cursor timestamps are spliced into or() filters, so only the ISO-8601 form
+// PostgREST returns is accepted. The text is kept as-is rather than round-
+// tripped through Date, which would drop the microseconds and repeat rows.
+const CURSOR_TIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+
+// ── Paging ────────────────────────────────────────────────────────────────────
+// List routes share one contract. Without ?limit or ?cursor they return the
+// legacy plain array; with either they return { items, next_cursor }, and
+// next_cursor is null on the last page. Pages are keyed on (created_at, id) so
+// rows inserted mid-scroll don't shift later pages; lists computed in memory
+// (expanded occurrences, distance order) page by offset instead. Routes that
+// drop rows after the query may return short pages — follow next_cursor
+// until it is null rather than stopping at the first short page.
+// Routes whose ?limit predates paging pass cursorOnly: there ?limit alone keeps
+// returning the plain array, and ?cursor= (empty for the first page) opts in.
+const PAGE_DEFAULT = 30;
+const PAGE_MAX     = 100;
+
+// → { paged: false } | { paged: true, limit, after } | { error }
+function parsePaging(query, { offset = false, cursorOnly = false } = {}) {
+  const { limit, cursor } = query;
+  if (cursor === undefined && (cursorOnly || limit === undefined)) return { paged: false };
+  let after = null;
+  if (cursor) {
+    after = decodeCursor(cursor);
+    const valid = after && (offset
+      ? Number.isSafeInteger(after.o) && after.o >= 0
+      : CURSOR_TIME_RE.test(after.t) && UUID_RE.test(after.id));
+    if (!valid) return { error: 'Invalid cursor' };
+  }
+  return { paged: true, limit: Math.min(Math.max(parseInt(limit) || PAGE_DEFAULT, 1), PAGE_MAX), after };
+}
+
+// Orders by (created_at, id), skips past the cursor and fetches one extra row
+// so pageOf can tell whether another page exists
+function keysetQuery(query, paging, { ascending = false } = {}) {
+  const op = ascending ? 'gt' : 'lt';
+  query = query.order('created_at', { ascending }).order('id', { ascending }).limit(paging.limit + 1);
+  if (paging.after) {
+    const { t, id } = paging.after;
+    query = query.or(`created_at.${op}."${t}",and(created_at.eq."${t}",id.${op}.${id})`);
+  }
+  return query;
+}
+
+// Builds { items, next_cursor } from keysetQuery rows. `finish` post-processes
+// the page (filtering included) without affecting where the next page starts.
+function pageOf(rows, paging, finish = items => items) {
+  const page = rows.slice(0, paging.limit);
+  const last = page[page.length - 1];
+  return {
+    items: finish(page),
+    next_cursor: rows.length > paging.limit ? encodeCursor({ t: last.created_at, id: last.id }) : null,
+  };
+}
+
+function offsetPageOf(list, paging) {
+  const start = paging.after ? paging.after.o : 0;
+  const end = start + paging.limit;
+  return { items: list.slice(start, end), next_cursor: end < list.length ? encodeCursor({ o: end }) : null };
+}
+
+// ?fields=a,b → a select list restricted to `allowed`. `always` columns are
+// added because the route needs them (ids, sort keys, filter inputs).
+function selectFields(fields, allowed, always = [], fallback = allowed.join(', ')) {
+  if (fields === undefined) return { select: fallback };
+  const wanted = String(fields).split(',').map(f => f.trim()).filter(Boolean);
+  const unknown = wanted.filter(f => !allowed.includes(f));
+  if (unknown.length)
+    return { error: `Unknown field(s): ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}` };
+  return { select: [...new Set(['id', 'created_at', ...always, ...wanted])].join(', ') };
+}
+
 function dbError(res) {
   return res.status(500).json({
     error: 'Database not configured. Set SUPABASE_URL and SUPABASE_SERVICE_KEY in Vercel environment variables.',
@@ -129,20 +1137,117 @@ function dbError(res) {
       '1. Go to vercel.com → your project → Settings → Environment Variables',
       '2. Add SUPABASE_URL  =  your Supabase project URL (https://xxx.supabase.co)',
       '3. Add SUPABASE_SERVICE_KEY  =  your service_role key (from Supabase dashboard)',
-      '4. Add PASSWORD_SALT  =  any random string',
-      '5. Click Redeploy',
+      '4. Add PASSWORD_SALT  =  the salt used before scrypt hashing (existing deploys only)',
+      '5. Add TOKEN_SECRET  =  a long random string (signs session tokens)',
+      '6. Add SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, MAIL_FROM and APP_URL (account emails)',
+      '7. Click Redeploy',
     ],
   });
 }
 
-// Fire-and-forget notification helper — never blocks a response
+// Fire-and-forget append to the live stream log — never blocks a response
+function publish(sb, channel, type, data) {
+  sb.from('stream_events')
+    .insert([{ channel, type, data }])
+    .then(() => {}, () => {});
+}
+
+// Fire-and-forget notification helper — never blocks a response. The
+// recipient's preferences decide whether it is stored, and whether it is
+// pushed live (see notificationDelivery). Payloads with a `group`
+// ({ key, actor_id, actor_name, action_many }) fold into an existing entry
+// for the same type and key, e.g. "Ana and 12 others liked your thread".
+const NOTIFICATION_GROUP_WINDOW_MIN = 6 * 60;
+
 function notify(sb, payload) {
-  sb.from('notifications')
-    .insert([payload])
-    .then(() => {})
+  const { group, ...row } = payload;
+  notificationDelivery(sb, row)
+    .then(delivery => {
+      if (delivery === 'off') return;
+      const digest = delivery === 'digest';
+      const write = group
+        ? sb.rpc('upsert_grouped_notification', {
+            p_user: row.user_id, p_type: row.type, p_group_key: group.key,
+            p_actor: group.actor_id, p_actor_name: group.actor_name || 'Someone',
+            p_title: row.title, p_action_many: group.action_many,
+            p_body: row.body || '', p_data: row.data || {},
+            p_digest: digest, p_window_minutes: NOTIFICATION_GROUP_WINDOW_MIN,
+          }).then(({ data }) => (data || [])[0])
+        : sb.from('notifications').insert([{ ...row, digest }]).select().single().then(({ data }) => data);
+      return write.then(data => {
+        if (data && delivery === 'live') publish(sb, `user:${data.user_id}`, 'notification', data);
+      });
+    })
     .catch(() => {});
 }
 
+// ── Mail ──────────────────────────────────────────────────────────────────────
+// A mailer is anything with send({ to, subject, text, html }) → Promise.
+// MAIL_TRANSPORT picks one: 'smtp' (default when SMTP_HOST is set), 'file'
+// (one JSON file per message in MAIL_FILE_DIR) or 'console' (the fallback,
+// logs messages). file and console are for local dev and tests only: they
+// expose live token links, so with NODE_ENV=production every send fails
+// until SMTP is configured.
+const MAIL_FROM = process.env.MAIL_FROM || 'Krowdly <no-reply@krowdly.app>';
+const APP_URL   = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+function smtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+  return { send: msg => transporter.sendMail({ from: MAIL_FROM, ...msg }) };
+}
+
+function fileTransport(dir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'krowdly-mail')) {
+  return {
+    async send(msg) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ from: MAIL_FROM, ...msg, sent_at: new Date().toISOString() }, null, 2));
+    },
+  };
+}
+
+function consoleTransport() {
+  return {
+    async send(msg) {
+      console.log(`[mail] to=${msg.to} subject="${msg.subject}"\n${msg.text}`);
+    },
+  };
+}
+
+function unconfiguredTransport(reason) {
+  return {
+    async send() {
+      throw new Error(reason);
+    },
+  };
+}
+
+let mailer = null;
+function getMailer() {
+  if (mailer) return mailer;
+  const transport = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+  if (transport === 'smtp') mailer = smtpTransport();
+  else if (process.env.NODE_ENV === 'production')
+    mailer = unconfiguredTransport(`MAIL_TRANSPORT=${transport} is not allowed in production; set SMTP_HOST`);
+  else mailer = transport === 'file' ? fileTransport() : consoleTransport();
+  return mailer;
+}
+
+// For user-supplied text in HTML mail bodies
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Fire-and-forget send — a mail outage must not fail the request that sent it
+function sendMail(msg) {
+  getMailer().send(msg).catch(err => console.error('[mail] send failed:', err.message));
+}
+
 // ── HEALTH ────────────────────────────────────────────────────────────────────
 app.get('/', (req, res) => {
   const missing = [];
@@ -207,6 +1312,7 @@ app.post('/api/users', async (req, res) => {
   const { username, email, password, avatar } = req.body;
   if (!username) return res.status(400).json({ error: 'Username required' });
   if (!email)    return res.status(400).json({ error: 'Email required' });
+  if (!EMAIL_RE.test(email)) return res.status(400).json({ error: 'Enter a valid email address' });
   if (!password || password.length < 6)
     return res.status(400).json({ error: 'Password must be at least 6 characters' });
 
@@ -229,7 +1335,7 @@ app.post('/api/users', async (req, res) => {
     .from('users')
     .insert([{
       username, email,
-      password_hash: hashPassword(password),
+      password_hash: await hashPassword(password),
       avatar: avatarUrl,
       online: true,
       last_seen: now,
@@ -238,7 +1344,16 @@ app.post('/api/users', async (req, res) => {
     .single();
 
   if (error) return res.status(500).json({ error: error.message });
-  res.json(data);
+
+  // A failed verification mail can be retried via /api/auth/resend-verification
+  sendVerificationEmail(sb, data).catch(err => console.error('[mail] verification failed:', err.message));
+
+  try {
+    const tokens = await createSession(sb, data.id);
+    res.json({ ...data, email_verified: false, ...tokens });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // ── SIGN IN ───────────────────────────────────────────────────────────────────
@@ -250,73 +1365,360 @@ app.post('/api/auth/signin', async (req, res) => {
   if (!email || !password)
     return res.status(400).json({ error: 'Email and password required' });
 
-  const { data: user, error } = await sb
+  const { data: row, error } = await sb
     .from('users')
-    .select('id, username, email, avatar, online, bio, profile_color, last_seen, created_at')
+    .select('id, username, email, avatar, online, bio, profile_color, last_seen, created_at, password_hash, suspended_until, email_verified_at')
     .eq('email', email)
-    .eq('password_hash', hashPassword(password))
     .maybeSingle();
 
   if (error) return res.status(500).json({ error: error.message });
-  if (!user)  return res.status(401).json({ error: 'Invalid email or password' });
 
+  // Unknown emails still pay for a hash so response timing doesn't reveal them
+  const check = row
+    ? await verifyPassword(password, row.password_hash)
+    : (await hashPassword(password), { ok: false });
+  if (!check.ok) return res.status(401).json({ error: 'Invalid email or password' });
+
+  if (row.suspended_until && new Date(row.suspended_until) > new Date())
+    return res.status(403).json({ error: 'This account is suspended until ' + row.suspended_until });
+
+  const { password_hash, suspended_until, email_verified_at, ...user } = row;
   const now = new Date().toISOString();
-  await sb.from('users').update({ online: true, last_seen: now }).eq('id', user.id);
-  res.json({ ...user, online: true, last_seen: now });
+  const updates = { online: true, last_seen: now };
+  if (check.upgrade) updates.password_hash = await hashPassword(password);
+  await sb.from('users').update(updates).eq('id', user.id);
+
+  try {
+    const tokens = await createSession(sb, user.id);
+    res.json({ ...user, email_verified: !!email_verified_at, online: true, last_seen: now, ...tokens });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── REFRESH SESSION ───────────────────────────────────────────────────────────
+// Exchanges a refresh token for a new access token. The refresh secret is
+// rotated each time, so a replayed (stolen) refresh token stops working.
+app.post('/api/auth/refresh', async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { refresh_token } = req.body;
+  const [sessionId, secret] = String(refresh_token || '').split('.');
+  if (!sessionId || !secret)
+    return res.status(400).json({ error: 'refresh_token required' });
+
+  const { data: session } = await sb
+    .from('sessions')
+    .select('id, user_id, refresh_hash, expires_at, revoked_at')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (!session || session.revoked_at || new Date(session.expires_at) < new Date() ||
+      session.refresh_hash !== sha256(secret))
+    return res.status(401).json({ error: 'Session expired. Please sign in again.' });
+
+  const nextSecret = crypto.randomBytes(32).toString('base64url');
+  const { data: rotated, error } = await sb
+    .from('sessions')
+    .update({ refresh_hash: sha256(nextSecret) })
+    .eq('id', session.id)
+    .eq('refresh_hash', session.refresh_hash)
+    .select('id');
+  if (error) return res.status(500).json({ error: error.message });
+  // Another request rotated the secret first: this token was already spent.
+  if (!rotated?.length)
+    return res.status(401).json({ error: 'Session expired. Please sign in again.' });
+
+  res.json({
+    access_token: accessTokenFor(session.user_id, session.id),
+    refresh_token: `${session.id}.${nextSecret}`,
+    expires_in: ACCESS_TTL_SEC,
+  });
 });
 
 // ── SIGN OUT ──────────────────────────────────────────────────────────────────
-app.post('/api/auth/signout', async (req, res) => {
+// Revokes the caller's session so both its access and refresh tokens die.
+app.post('/api/auth/signout', requireAuth, async (req, res) => {
   const sb = getSupabase();
   if (!sb) return dbError(res);
 
-  const { userId } = req.body;
-  if (!userId) return res.status(400).json({ error: 'userId required' });
+  const now = new Date().toISOString();
+  await sb.from('sessions').update({ revoked_at: now }).eq('id', req.user.sid);
   await sb
     .from('users')
-    .update({ online: false, last_seen: new Date().toISOString() })
-    .eq('id', userId);
+    .update({ online: false, last_seen: now })
+    .eq('id', req.user.id);
+  res.json({ success: true });
+});
+
+// ── EMAIL VERIFICATION & PASSWORD RESET ───────────────────────────────────────
+// Tokens are random, mailed as links, stored hashed and consumed exactly once.
+// Issuing a new token retires the user's earlier unused ones for that purpose.
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EMAIL_TOKEN_TTL_SEC = { verify: 48 * 3600, reset: 60 * 60 };
+const EMAIL_RESEND_COOLDOWN_SEC = 60;
+
+async function issueEmailToken(sb, userId, purpose) {
+  const now = new Date();
+  await sb.from('email_tokens').update({ used_at: now.toISOString() })
+    .eq('user_id', userId).eq('purpose', purpose).is('used_at', null);
+  const token = crypto.randomBytes(32).toString('base64url');
+  const { error } = await sb.from('email_tokens').insert([{
+    user_id: userId, purpose, token_hash: sha256(token),
+    expires_at: new Date(now.getTime() + EMAIL_TOKEN_TTL_SEC[purpose] * 1000).toISOString(),
+  }]);
+  if (error) throw error;
+  return token;
+}
+
+// Marks the token used and returns its row, or null if unknown, used or expired
+async function consumeEmailToken(sb, token, purpose) {
+  if (!token || typeof token !== 'string') return null;
+  const now = new Date().toISOString();
+  const { data } = await sb.from('email_tokens')
+    .update({ used_at: now })
+    .eq('token_hash', sha256(token)).eq('purpose', purpose)
+    .is('used_at', null).gt('expires_at', now)
+    .select('user_id').maybeSingle();
+  return data || null;
+}
+
+// True when the user was sent a token for this purpose within the cooldown
+async function recentlyMailed(sb, userId, purpose) {
+  const since = new Date(Date.now() - EMAIL_RESEND_COOLDOWN_SEC * 1000).toISOString();
+  const { data } = await sb.from('email_tokens').select('id')
+    .eq('user_id', userId).eq('purpose', purpose).gt('created_at', since).limit(1);
+  return !!(data && data.length);
+}
+
+async function sendVerificationEmail(sb, user) {
+  const token = await issueEmailToken(sb, user.id, 'verify');
+  const link = `${APP_URL}/verify-email?token=${token}`;
+  sendMail({
+    to: user.email,
+    subject: 'Confirm your Krowdly email',
+    text: `Hi ${user.username},\n\nConfirm your email address to start hosting events and communities:\n${link}\n\nThis link expires in 48 hours.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Confirm your email address to start hosting events and communities:</p><p><a href="${link}">Confirm my email</a></p><p>This link expires in 48 hours.</p>`,
+  });
+}
+
+// Route middleware, after requireAuth — confirmed email addresses only
+function requireVerified(req, res, next) {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+  sb.from('users').select('email_verified_at').eq('id', req.user.id).maybeSingle()
+    .then(({ data }) => {
+      if (!data || !data.email_verified_at)
+        return res.status(403).json({ error: 'Confirm your email address first', code: 'email_unverified' });
+      next();
+    }, next);
+}
+
+// POST /api/auth/verify-email — { token }
+app.post('/api/auth/verify-email', async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const row = await consumeEmailToken(sb, req.body.token, 'verify');
+  if (!row) return res.status(400).json({ error: 'This link is invalid or has expired' });
+  const { error } = await sb.from('users')
+    .update({ email_verified_at: new Date().toISOString() }).eq('id', row.user_id).is('email_verified_at', null);
+  if (error) return res.status(500).json({ error: error.message });
+  res.json({ success: true, email_verified: true });
+});
+
+// POST /api/auth/resend-verification — mail a fresh link to the signed-in user
+app.post('/api/auth/resend-verification', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { data: user } = await sb.from('users')
+    .select('id, username, email, email_verified_at').eq('id', req.user.id).maybeSingle();
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  if (user.email_verified_at) return res.status(409).json({ error: 'Email already confirmed' });
+  if (await recentlyMailed(sb, user.id, 'verify'))
+    return res.status(429).json({ error: `Please wait ${EMAIL_RESEND_COOLDOWN_SEC} seconds before asking again` });
+
+  try {
+    await sendVerificationEmail(sb, user);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/auth/forgot-password — { email }. Always answers the same way so
+// the response doesn't reveal which emails have accounts.
+app.post('/api/auth/forgot-password', async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { email } = req.body;
+  if (!email) return res.status(400).json({ error: 'Email required' });
+
+  const { data: user } = await sb.from('users').select('id, username, email').eq('email', email).maybeSingle();
+  if (user && !(await recentlyMailed(sb, user.id, 'reset'))) {
+    try {
+      const token = await issueEmailToken(sb, user.id, 'reset');
+      const link = `${APP_URL}/reset-password?token=${token}`;
+      sendMail({
+        to: user.email,
+        subject: 'Reset your Krowdly password',
+        text: `Hi ${user.username},\n\nUse this link to choose a new password:\n${link}\n\nIt expires in 1 hour and works once. If you didn't ask for this, you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.username)},</p><p><a href="${link}">Choose a new password</a></p><p>The link expires in 1 hour and works once. If you didn't ask for this, you can ignore this email.</p>`,
+      });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  }
+  res.json({ success: true });
+});
+
+// POST /api/auth/reset-password — { token, password }. Signs out every
+// session, and confirms the email since the link proved access to it.
+app.post('/api/auth/reset-password', async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { token, password } = req.body;
+  if (!password || password.length < 6)
+    return res.status(400).json({ error: 'Password must be at least 6 characters' });
+  const row = await consumeEmailToken(sb, token, 'reset');
+  if (!row) return res.status(400).json({ error: 'This link is invalid or has expired' });
+
+  const { data: user } = await sb.from('users').select('email_verified_at').eq('id', row.user_id).maybeSingle();
+  const updates = { password_hash: await hashPassword(password) };
+  if (user && !user.email_verified_at) updates.email_verified_at = new Date().toISOString();
+  const { error } = await sb.from('users').update(updates).eq('id', row.user_id);
+  if (error) return res.status(500).json({ error: error.message });
+
+  await sb.from('sessions').update({ revoked_at: new Date().toISOString() })
+    .eq('user_id', row.user_id).is('revoked_at', null);
   res.json({ success: true });
 });
 
+// ── PROFILE PRIVACY ───────────────────────────────────────────────────────────
+// visibility decides who gets the full profile: everyone (public), accepted
+// friends (friends) or friends plus approved followers (private). Everyone
+// else gets a limited card. hide_presence blanks online/last_seen for all
+// but the user themselves.
+const PROFILE_VISIBILITY = ['public', 'friends', 'private'];
+const LIMITED_PROFILE_FIELDS = ['id', 'username', 'avatar', 'profile_color', 'visibility'];
+
+// The viewer's accepted friends and accepted follows, for profileView()
+async function viewerRelations(sb, viewerId) {
+  if (!viewerId || !UUID_RE.test(viewerId)) return { friends: new Set(), following: new Set() };
+  const [{ data: friendships }, { data: follows }] = await Promise.all([
+    sb.from('friends').select('sender_id, receiver_id').eq('status', 'accepted')
+      .or(`sender_id.eq.${viewerId},receiver_id.eq.${viewerId}`),
+    sb.from('follows').select('following_id').eq('follower_id', viewerId).eq('status', 'accepted'),
+  ]);
+  return {
+    friends: new Set((friendships || []).map(f => (f.sender_id === viewerId ? f.receiver_id : f.sender_id))),
+    following: new Set((follows || []).map(f => f.following_id)),
+  };
+}
+
+function canViewProfile(user, viewerId, rel) {
+  const visibility = user.visibility || 'public';
+  if (visibility === 'public' || user.id === viewerId) return true;
+  if (rel.friends.has(user.id)) return true;
+  return visibility === 'private' && rel.following.has(user.id);
+}
+
+// What viewerId may see of a users row (which needs id, visibility and
+// hide_presence). Limited views are flagged with limited: true.
+function profileView(user, viewerId, rel) {
+  const own = user.id === viewerId;
+  const { hide_presence, ...rest } = user;
+  if (!canViewProfile(user, viewerId, rel)) {
+    const view = { limited: true };
+    LIMITED_PROFILE_FIELDS.forEach(f => { if (rest[f] !== undefined) view[f] = rest[f]; });
+    return view;
+  }
+  if (own) return { ...rest, hide_presence: !!hide_presence };
+  if (hide_presence) {
+    if ('online' in rest) rest.online = null;
+    if ('last_seen' in rest) rest.last_seen = null;
+  }
+  return rest;
+}
+
 // ── GET ALL USERS ─────────────────────────────────────────────────────────────
 // Supports ?q=... for server-side username/bio search (search dropdown fallback).
-// Returns last_seen so the frontend presence-poll can compute online status.
-app.get('/api/users', async (req, res) => {
+// Returns last_seen so the frontend presence-poll can compute online status,
+// unless the user hides it. Profiles the caller can't see come back limited
+// (see Profile privacy) and only match ?q on username.
+// Users who have blocked the caller are left out.
+// Paged with ?limit=&cursor=, columns chosen with ?fields= (see Paging).
+const USER_FIELDS = ['id', 'username', 'avatar', 'online', 'bio', 'profile_color', 'last_seen', 'created_at'];
+
+app.get('/api/users', optionalAuth, async (req, res) => {
   const sb = getSupabase();
   if (!sb) return dbError(res);
 
-  const { q } = req.query;
-  let query = sb
-    .from('users')
-    .select('id, username, avatar, online, bio, profile_color, last_seen, created_at')
-    .order('created_at', { ascending: false });
+  const paging = parsePaging(req.query);
+  if (paging.error) return res.status(400).json({ error: paging.error });
+  const PRIVACY_FIELDS = ['username', 'visibility', 'hide_presence'];
+  const fields = selectFields(req.query.fields, USER_FIELDS, PRIVACY_FIELDS,
+    [...USER_FIELDS, ...PRIVACY_FIELDS.slice(1)].join(', '));
+  if (fields.error) return res.status(400).json({ error: fields.error });
+
+  const viewerId = req.user?.id;
+  const q = (req.query.q || '').trim();
+  let query = sb.from('users').select(fields.select);
 
-  if (q && q.trim()) {
-    query = query.or(`username.ilike.%${q.trim()}%,bio.ilike.%${q.trim()}%`);
+  if (q) {
+    const like = orValue(`%${q}%`);
+    query = query.or(`username.ilike.${like},bio.ilike.${like}`);
   }
+  const [hidden, rel] = await Promise.all([
+    viewerId ? blockerIdsOf(sb, viewerId) : [],
+    viewerRelations(sb, viewerId),
+  ]);
+  if (hidden.length) query = query.not('id', 'in', `(${hidden.join(',')})`);
+
+  // A bio the caller can't read must not be what matched them
+  const needle = q.toLowerCase();
+  const finish = rows => rows
+    .filter(u => !q || canViewProfile(u, viewerId, rel) || u.username.toLowerCase().includes(needle))
+    .map(u => profileView(u, viewerId, rel));
 
+  query = paging.paged ? keysetQuery(query, paging) : query.order('created_at', { ascending: false });
   const { data, error } = await query;
   if (error) return res.status(500).json({ error: error.message });
-  res.json(data || []);
+  res.json(paging.paged ? pageOf(data || [], paging, finish) : finish(data || []));
 });
 
 // ── GET SINGLE USER ───────────────────────────────────────────────────────────
 // Used by the profile modal (search result click).
 // Includes event_count so the modal can display it without a second request.
-app.get('/api/users/:id', async (req, res) => {
+// Profiles the caller can't see come back limited, without event_count.
+// follow_status is the caller's follow of this user: none, pending or accepted.
+app.get('/api/users/:id', optionalAuth, async (req, res) => {
   const sb = getSupabase();
   if (!sb) return dbError(res);
 
-  const { data: user, error } = await sb
-    .from('users')
-    .select('id, username, avatar, online, bio, profile_color, last_seen, created_at')
-    .eq('id', req.params.id)
-    .maybeSingle();
+  const viewerId = req.user?.id;
+  const [{ data: user, error }, rel, { data: follow }] = await Promise.all([
+    sb.from('users')
+      .select('id, username, avatar, online, bio, profile_color, last_seen, created_at, visibility, hide_presence')
+      .eq('id', req.params.id)
+      .maybeSingle(),
+    viewerRelations(sb, viewerId),
+    viewerId
+      ? sb.from('follows').select('status').eq('follower_id', viewerId).eq('following_id', req.params.id).maybeSingle()
+      : { data: null },
+  ]);
 
   if (error) return res.status(500).json({ error: error.message });
   if (!user)  return res.status(404).json({ error: 'User not found' });
 
+  const view = profileView(user, viewerId, rel);
+  const follow_status = follow?.status || 'none';
+  if (view.limited) return res.json({ ...view, follow_status });
+
   // Attach event count (non-critical, silently fails)
   let event_count = 0;
   try {
@@ -327,69 +1729,451 @@ app.get('/api/users/:id', async (req, res) => {
     event_count = count || 0;
   } catch (_) {}
 
-  res.json({ ...user, event_count });
+  res.json({ ...view, event_count, follow_status });
 });
 
 // ── UPDATE USER ───────────────────────────────────────────────────────────────
 // Accepts avatar, bio, profile_color, last_seen (presence heartbeat),
-// username (name update), notif_pref and visibility (settings tab).
-app.patch('/api/users/:id', async (req, res) => {
+// username (name update), visibility and hide_presence (settings tab).
+// Leaving private approves any pending follow requests. Notification
+// settings live at /api/users/:id/notification-preferences; the old
+// notif_pref field that settings screens still send is mapped onto their
+// default_mode there (see LEGACY_NOTIF_PREFS).
+app.patch('/api/users/:id', requireAuth, async (req, res) => {
   const sb = getSupabase();
   if (!sb) return dbError(res);
 
   const { id } = req.params;
+  if (id !== req.user.id)
+    return res.status(403).json({ error: 'You can only update your own profile' });
   const ALLOWED = [
     'username', 'avatar', 'bio', 'profile_color',
-    'last_seen', 'notif_pref', 'visibility',
+    'last_seen', 'visibility', 'hide_presence',
   ];
   const updates = {};
   ALLOWED.forEach(field => {
     if (req.body[field] !== undefined) updates[field] = req.body[field];
   });
-  if (!Object.keys(updates).length)
+  const { notif_pref } = req.body;
+  if (!Object.keys(updates).length && notif_pref === undefined)
     return res.status(400).json({ error: 'Nothing to update' });
+  if (notif_pref !== undefined && !Object.hasOwn(LEGACY_NOTIF_PREFS, String(notif_pref).toLowerCase()))
+    return res.status(400).json({ error: `notif_pref must be one of ${Object.keys(LEGACY_NOTIF_PREFS).join(', ')}` });
+  if (updates.visibility !== undefined && !PROFILE_VISIBILITY.includes(updates.visibility))
+    return res.status(400).json({ error: `visibility must be one of ${PROFILE_VISIBILITY.join(', ')}` });
+  if (updates.hide_presence !== undefined && typeof updates.hide_presence !== 'boolean')
+    return res.status(400).json({ error: 'hide_presence must be a boolean' });
+
+  if (notif_pref !== undefined) {
+    const { error } = await sb.from('notification_preferences').upsert([{
+      user_id: id,
+      default_mode: LEGACY_NOTIF_PREFS[String(notif_pref).toLowerCase()],
+      updated_at: new Date().toISOString(),
+    }], { onConflict: 'user_id' });
+    if (error) return res.status(500).json({ error: error.message });
+  }
+  const PROFILE_COLUMNS = 'id, username, avatar, online, bio, profile_color, last_seen, visibility, hide_presence, created_at';
+  if (!Object.keys(updates).length) {
+    const { data, error } = await sb.from('users').select(PROFILE_COLUMNS).eq('id', id).single();
+    if (error) return res.status(500).json({ error: error.message });
+    return res.json(data);
+  }
 
   const { data, error } = await sb
     .from('users')
     .update(updates)
     .eq('id', id)
-    .select('id, username, avatar, online, bio, profile_color, last_seen, notif_pref, visibility, created_at')
+    .select(PROFILE_COLUMNS)
     .single();
 
   if (error) return res.status(500).json({ error: error.message });
+  if (updates.visibility && updates.visibility !== 'private')
+    await sb.from('follows').update({ status: 'accepted' }).eq('following_id', id).eq('status', 'pending');
   res.json(data);
 });
 
-// ── GET EVENTS ────────────────────────────────────────────────────────────────
-// Supports ?category= ?location= ?privacy= ?created_by= for filtering.
-app.get('/api/events', async (req, res) => {
-  const sb = getSupabase();
-  if (!sb) return dbError(res);
+// ── RECURRENCE ────────────────────────────────────────────────────────────────
+// A practical subset of RFC 5545 RRULE: FREQ=DAILY|WEEKLY|MONTHLY|YEARLY with
+// INTERVAL, COUNT, UNTIL, BYDAY (ordinals like 2TU / -1FR for MONTHLY) and
+// BYMONTHDAY. BYDAY works with WEEKLY and MONTHLY, BYMONTHDAY with MONTHLY
+// only; other combinations are rejected. Dates are handled as whole UTC days;
+// the event's `date` is DTSTART and its `time` applies to every occurrence.
+const RRULE_DAYS        = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RRULE_FREQS       = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const RRULE_MAX_PERIOD  = { DAILY: 1, WEEKLY: 7, MONTHLY: 31, YEARLY: 366 };
+const RRULE_MAX_PERIODS = 2000; // expansion cap; COUNT rules must finish within it
+const MAX_RANGE_DAYS    = 366;
+const DATE_RE           = /^\d{4}-\d{2}-\d{2}$/;
+
+function dayNum(ymd) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  return Date.UTC(y, m - 1, d) / 86400000;
+}
 
-  const { category, location, privacy, created_by } = req.query;
-  let query = sb.from('events').select('*').order('created_at', { ascending: false });
+function dayStr(n) {
+  return new Date(n * 86400000).toISOString().slice(0, 10);
+}
 
-  if (category)   query = query.ilike('category', category);
-  if (privacy)    query = query.eq('privacy', privacy);
-  if (created_by) query = query.eq('created_by', created_by);
-  if (location)   query = query.ilike('location', `%${location}%`);
+function isValidDate(ymd) {
+  return DATE_RE.test(ymd || '') && dayStr(dayNum(ymd)) === ymd;
+}
 
-  const { data, error } = await query;
-  if (error) return res.status(500).json({ error: error.message });
-  res.json(data || []);
-});
+// Parses an RRULE string into a plain object; throws with a readable message
+function parseRRule(str) {
+  const rule = { freq: null, interval: 1, count: null, until: null, byday: [], bymonthday: [] };
+  for (const part of String(str).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value = ''] = part.split('=');
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        rule.freq = value.toUpperCase();
+        if (!RRULE_FREQS.includes(rule.freq)) throw new Error(`Unsupported FREQ "${value}"`);
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(value, 10);
+        if (!(rule.interval >= 1)) throw new Error('INTERVAL must be a positive integer');
+        break;
+      case 'COUNT':
+        rule.count = parseInt(value, 10);
+        if (!(rule.count >= 1)) throw new Error('COUNT must be a positive integer');
+        break;
+      case 'UNTIL': {
+        const m = value.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+        if (!m || !isValidDate(`${m[1]}-${m[2]}-${m[3]}`)) throw new Error('UNTIL must be a date');
+        rule.until = `${m[1]}-${m[2]}-${m[3]}`;
+        break;
+      }
+      case 'BYDAY':
+        rule.byday = value.toUpperCase().split(',').map(token => {
+          const m = token.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!m) throw new Error(`Invalid BYDAY value "${token}"`);
+          return { n: m[1] ? parseInt(m[1], 10) : 0, wd: RRULE_DAYS.indexOf(m[2]) };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.bymonthday = value.split(',').map(v => {
+          const n = parseInt(v, 10);
+          if (!n || n < -31 || n > 31) throw new Error(`Invalid BYMONTHDAY value "${v}"`);
+          return n;
+        });
+        break;
+      default:
+        throw new Error(`Unsupported RRULE part "${key}"`);
+    }
+  }
+  if (!rule.freq) throw new Error('RRULE needs a FREQ');
+  if (rule.count && rule.until) throw new Error('RRULE cannot have both COUNT and UNTIL');
+  if (rule.byday.length && !['WEEKLY', 'MONTHLY'].includes(rule.freq))
+    throw new Error('BYDAY is only supported with FREQ=WEEKLY or FREQ=MONTHLY');
+  if (rule.bymonthday.length && rule.freq !== 'MONTHLY')
+    throw new Error('BYMONTHDAY is only supported with FREQ=MONTHLY');
+  if (rule.byday.some(d => d.n) && rule.freq !== 'MONTHLY')
+    throw new Error('Numbered BYDAY values are only supported with FREQ=MONTHLY');
+  return rule;
+}
 
-// ── TRENDING EVENTS ───────────────────────────────────────────────────────────
-// Must stay BEFORE /api/events/:id routes so 'trending' is never matched as an :id.
-// Scores going=2, interested=1 per RSVP entry.
-app.get('/api/events/trending', async (req, res) => {
-  const sb = getSupabase();
-  if (!sb) return dbError(res);
+// Candidate days (ascending day numbers) in the i-th period after DTSTART
+function rrulePeriod(rule, start, i) {
+  const weekday = n => (n + 4) % 7; // 1970-01-01 was a Thursday
+  if (rule.freq === 'DAILY') return [start + i * rule.interval];
+  if (rule.freq === 'WEEKLY') {
+    const monday = start - ((weekday(start) + 6) % 7) + i * rule.interval * 7;
+    const days = rule.byday.length ? rule.byday.map(d => d.wd) : [weekday(start)];
+    return days.map(wd => monday + ((wd + 6) % 7)).sort((a, b) => a - b);
+  }
+  const s = new Date(start * 86400000);
+  if (rule.freq === 'YEARLY') {
+    const y = s.getUTCFullYear() + i * rule.interval;
+    const d = Date.UTC(y, s.getUTCMonth(), s.getUTCDate()) / 86400000;
+    return new Date(d * 86400000).getUTCMonth() === s.getUTCMonth() ? [d] : [];
+  }
+  // MONTHLY
+  const month = s.getUTCMonth() + i * rule.interval;
+  const first = Date.UTC(s.getUTCFullYear(), month, 1) / 86400000;
+  const dim   = new Date(Date.UTC(s.getUTCFullYear(), month + 1, 0)).getUTCDate();
+  const last  = first + dim - 1;
+  const out = new Set();
+  rule.bymonthday.forEach(n => {
+    const d = n > 0 ? first + n - 1 : last + n + 1;
+    if (d >= first && d <= last) out.add(d);
+  });
+  rule.byday.forEach(({ n, wd }) => {
+    const matches = [];
+    for (let d = first; d <= last; d++) if (weekday(d) === wd) matches.push(d);
+    if (!n) return matches.forEach(d => out.add(d));
+    const d = matches[n > 0 ? n - 1 : matches.length + n];
+    if (d !== undefined) out.add(d);
+  });
+  if (!rule.bymonthday.length && !rule.byday.length && s.getUTCDate() <= dim)
+    out.add(first + s.getUTCDate() - 1);
+  return [...out].sort((a, b) => a - b);
+}
 
-  const { data, error } = await sb
-    .from('events')
-    .select('*')
-    .eq('privacy', 'public')
+// Occurrence dates ('YYYY-MM-DD') of an event between from and to, inclusive.
+// Throws rather than return a short list when RRULE_MAX_PERIODS runs out.
+function expandOccurrences(ev, from, to) {
+  if (!ev.rrule) return ev.date && ev.date >= from && ev.date <= to ? [ev.date] : [];
+  if (!ev.date) return [];
+  const rule  = parseRRule(ev.rrule);
+  const start = dayNum(ev.date);
+  const lo    = dayNum(from);
+  const hi    = Math.min(dayNum(to), rule.until ? dayNum(rule.until) : Infinity);
+  const skip  = new Set(ev.exdates || []);
+  const out   = [];
+  let seen = 0;
+
+  // COUNT has to be tallied from DTSTART; otherwise jump close to the window
+  let i = rule.count ? 0 : Math.max(0, Math.floor((lo - start) / (rule.interval * RRULE_MAX_PERIOD[rule.freq])));
+  for (let guard = 0; guard < RRULE_MAX_PERIODS; guard++, i++) {
+    for (const d of rrulePeriod(rule, start, i)) {
+      if (d < start) continue;
+      if (d > hi || (rule.count && seen >= rule.count)) return out;
+      seen++;
+      if (d >= lo && !skip.has(dayStr(d))) out.push(dayStr(d));
+    }
+  }
+  throw new Error(`RRULE does not finish within ${RRULE_MAX_PERIODS} periods`);
+}
+
+function isOccurrence(ev, ymd) {
+  return isValidDate(ymd) && expandOccurrences(ev, ymd, ymd).length === 1;
+}
+
+// ── EVENT PRIVACY ─────────────────────────────────────────────────────────────
+// public: everyone. friends: the host's accepted friends. invite_only:
+// invitees. unlisted: anyone with the share token (?share_token=, the
+// X-Share-Token header or share_token in the body), and never listed.
+// Hosts, co-hosts and anyone who RSVPed or was invited can always see an
+// event. Lists and search apply the same rules in SQL (listable_events).
+const EVENT_PRIVACY = ['public', 'friends', 'invite_only', 'unlisted'];
+
+function shareTokenOf(req) {
+  return req.query.share_token || req.get('x-share-token') || (req.body && req.body.share_token) || null;
+}
+
+function newShareToken() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+async function areFriends(sb, a, b) {
+  if (!a || !b || !UUID_RE.test(a) || !UUID_RE.test(b)) return false;
+  const { data } = await sb.from('friends').select('id').eq('status', 'accepted')
+    .or(`and(sender_id.eq.${a},receiver_id.eq.${b}),and(sender_id.eq.${b},receiver_id.eq.${a})`)
+    .limit(1);
+  return !!(data && data.length);
+}
+
+// Needs ev.id, privacy, created_by and share_token
+async function canViewEvent(sb, ev, userId, shareToken) {
+  if (!ev.privacy || ev.privacy === 'public') return true;
+  if (ev.privacy === 'unlisted' && shareToken && ev.share_token &&
+      crypto.timingSafeEqual(Buffer.from(sha256(String(shareToken))), Buffer.from(sha256(ev.share_token))))
+    return true;
+  if (!userId) return false;
+  if (await isEventHost(sb, ev, userId)) return true;
+  const [{ data: rsvp }, { data: invite }] = await Promise.all([
+    sb.from('event_rsvps').select('id').eq('event_id', ev.id).eq('user_id', userId).limit(1),
+    sb.from('event_invitations').select('id').eq('event_id', ev.id).eq('invitee_id', userId).limit(1),
+  ]);
+  if ((rsvp && rsvp.length) || (invite && invite.length)) return true;
+  return ev.privacy === 'friends' && areFriends(sb, ev.created_by, userId);
+}
+
+// Loads an event the caller may see, or sends 404 (never 403, so private
+// events don't reveal that they exist)
+async function loadVisibleEvent(sb, req, res, columns = '*') {
+  const { data: ev } = await sb.from('events')
+    .select(columns === '*' ? '*' : `id, privacy, created_by, share_token, ${columns}`)
+    .eq('id', req.params.id).maybeSingle();
+  if (!ev || !(await canViewEvent(sb, ev, req.user?.id, shareTokenOf(req)))) {
+    res.status(404).json({ error: 'Event not found' });
+    return null;
+  }
+  return ev;
+}
+
+// ── GEO ───────────────────────────────────────────────────────────────────────
+// Events saved with the lat: 0, lng: 0 default have no real location and are
+// left out of every geo query.
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEG_LAT  = 111.32;
+
+function haversineKm(lat1, lng1, lat2, lng2) {
+  const rad  = d => (d * Math.PI) / 180;
+  const dLat = rad(lat2 - lat1);
+  const dLng = rad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+function hasLocation(ev) {
+  return Number(ev.lat) !== 0 || Number(ev.lng) !== 0;
+}
+
+// Reads ?lat=&lng=&radius_km= and ?bbox=west,south,east,north. Returns null
+// when no geo parameter is present, { error } when one is malformed, else
+// { lat, lng, radius, bbox } where lat/lng is the point distances are
+// measured from (the bbox centre if no point was given).
+function parseGeoQuery({ lat, lng, radius_km, bbox }) {
+  if (lat === undefined && lng === undefined && radius_km === undefined && !bbox) return null;
+  const geo = { radius: null, bbox: null };
+
+  if (lat !== undefined || lng !== undefined) {
+    geo.lat = parseFloat(lat);
+    geo.lng = parseFloat(lng);
+    if (!(Math.abs(geo.lat) <= 90) || !(Math.abs(geo.lng) <= 180))
+      return { error: 'lat and lng must be valid coordinates' };
+  }
+  if (radius_km !== undefined) {
+    if (geo.lat === undefined) return { error: 'radius_km needs lat and lng' };
+    geo.radius = parseFloat(radius_km);
+    if (!(geo.radius > 0)) return { error: 'radius_km must be a positive number' };
+  }
+  if (bbox) {
+    const [west, south, east, north] = String(bbox).split(',').map(parseFloat);
+    if (![west, east].every(v => Math.abs(v) <= 180) ||
+        ![south, north].every(v => Math.abs(v) <= 90) || south > north)
+      return { error: 'bbox must be "west,south,east,north" in degrees' };
+    geo.bbox = { west, south, east, north };
+    if (geo.lat === undefined) {
+      // A box with west > east wraps across the antimeridian
+      const span = east >= west ? east - west : east + 360 - west;
+      geo.lat = (south + north) / 2;
+      geo.lng = ((west + span / 2 + 540) % 360) - 180;
+    }
+  }
+  return geo;
+}
+
+// Narrows the query to a lat/lng rectangle that covers the search area; the
+// exact radius and antimeridian-wrapping boxes are applied in JS afterwards.
+function applyGeoPrefilter(query, geo) {
+  let box = geo.bbox;
+  if (geo.radius) {
+    const dLat = geo.radius / KM_PER_DEG_LAT;
+    const dLng = geo.radius / (KM_PER_DEG_LAT * Math.max(Math.cos((geo.lat * Math.PI) / 180), 1e-6));
+    const radiusBox = {
+      south: Math.max(-90, geo.lat - dLat), north: Math.min(90, geo.lat + dLat),
+      west: dLng >= 180 ? -180 : geo.lng - dLng, east: dLng >= 180 ? 180 : geo.lng + dLng,
+    };
+    box = box ? { ...box, south: Math.max(box.south, radiusBox.south), north: Math.min(box.north, radiusBox.north) } : radiusBox;
+  }
+  if (!box) return query;
+  query = query.gte('lat', box.south).lte('lat', box.north);
+  if (box.west <= box.east && box.west >= -180 && box.east <= 180)
+    query = query.gte('lng', box.west).lte('lng', box.east);
+  return query;
+}
+
+function matchesGeo(ev, geo) {
+  if (!hasLocation(ev)) return false;
+  const lat = Number(ev.lat), lng = Number(ev.lng);
+  if (geo.bbox) {
+    const { west, south, east, north } = geo.bbox;
+    if (lat < south || lat > north) return false;
+    if (west <= east ? (lng < west || lng > east) : (lng < west && lng > east)) return false;
+  }
+  return !geo.radius || haversineKm(geo.lat, geo.lng, lat, lng) <= geo.radius;
+}
+
+// ── GET EVENTS ────────────────────────────────────────────────────────────────
+// Supports ?category= ?location= ?privacy= ?created_by= for filtering.
+// Geo: ?lat=&lng=&radius_km= for "near me", ?bbox=west,south,east,north for a
+// map viewport; geo results carry distance_km and ?sort=distance orders by it.
+// With ?from=YYYY-MM-DD&to=YYYY-MM-DD (max one year apart) the response is a
+// list of occurrences instead: recurring events are expanded, every item
+// carries occurrence_date, and the list is sorted by date.
+// Paged with ?limit=&cursor= and trimmed with ?fields= (e.g. to skip the
+// base64 image); occurrence and distance lists page by offset.
+// Only events the caller may list are returned (see EVENT PRIVACY).
+const EVENT_FIELDS = [
+  'id', 'name', 'description', 'location', 'lat', 'lng', 'category', 'category_color',
+  'host', 'host_avatar', 'privacy', 'date', 'time', 'rrule', 'exdates', 'max_attendees',
+  'tags', 'image', 'rsvps', 'created_by', 'created_at',
+];
+
+app.get('/api/events', optionalAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { category, location, privacy, created_by, from, to, sort } = req.query;
+  const inMemory = !!(from || to || sort === 'distance');
+  const paging = parsePaging(req.query, { offset: inMemory });
+  if (paging.error) return res.status(400).json({ error: paging.error });
+  const needs = [
+    ...(from || to ? ['date', 'time', 'rrule', 'exdates'] : []),
+    ...(req.query.lat || req.query.bbox ? ['lat', 'lng'] : []),
+  ];
+  const fields = selectFields(req.query.fields, EVENT_FIELDS, needs, '*');
+  if (fields.error) return res.status(400).json({ error: fields.error });
+
+  let query = sb.rpc('listable_events', { p_user: req.user ? req.user.id : null }).select(fields.select);
+
+  if (category)   query = query.ilike('category', category);
+  if (privacy)    query = query.eq('privacy', privacy);
+  if (created_by) query = query.eq('created_by', created_by);
+  if (location)   query = query.ilike('location', `%${location}%`);
+
+  const geo = parseGeoQuery(req.query);
+  if (geo && geo.error) return res.status(400).json({ error: geo.error });
+  if (sort === 'distance' && !geo)
+    return res.status(400).json({ error: 'sort=distance needs lat/lng or bbox' });
+  if (geo) query = applyGeoPrefilter(query, geo);
+
+  if (from || to) {
+    if (!isValidDate(from) || !isValidDate(to) || to < from)
+      return res.status(400).json({ error: 'from and to must be YYYY-MM-DD dates with from <= to' });
+    if (dayNum(to) - dayNum(from) > MAX_RANGE_DAYS)
+      return res.status(400).json({ error: `Date range can span at most ${MAX_RANGE_DAYS} days` });
+    query = query.or(
+      `and(rrule.is.null,date.gte.${from},date.lte.${to}),` +
+      `and(rrule.not.is.null,date.lte.${to})`
+    );
+  }
+
+  query = paging.paged && !inMemory ? keysetQuery(query, paging) : query.order('created_at', { ascending: false });
+  const { data, error } = await query;
+  if (error) return res.status(500).json({ error: error.message });
+
+  const withDistance = rows => !geo ? rows : rows
+    .filter(ev => matchesGeo(ev, geo))
+    .map(ev => ({
+      ...ev,
+      distance_km: Math.round(haversineKm(geo.lat, geo.lng, Number(ev.lat), Number(ev.lng)) * 100) / 100,
+    }));
+  const byDistance = (a, b) => a.distance_km - b.distance_km;
+  if (paging.paged && !inMemory) return res.json(pageOf(data || [], paging, withDistance));
+
+  const events = withDistance(data || []);
+  if (!from) {
+    if (sort === 'distance') events.sort(byDistance);
+    return res.json(paging.paged ? offsetPageOf(events, paging) : events);
+  }
+
+  const occurrences = [];
+  events.forEach(ev => {
+    let dates = [];
+    try { dates = expandOccurrences(ev, from, to); } catch (_) {} // skip unparseable or runaway rules
+    dates.forEach(date => occurrences.push({ ...ev, date, occurrence_date: date }));
+  });
+  occurrences.sort((a, b) =>
+    a.date.localeCompare(b.date) || String(a.time || '').localeCompare(String(b.time || '')));
+  if (sort === 'distance') occurrences.sort(byDistance); // stable: date order within a distance
+  res.json(paging.paged ? offsetPageOf(occurrences, paging) : occurrences);
+});
+
+// ── TRENDING EVENTS ───────────────────────────────────────────────────────────
+// Must stay BEFORE /api/events/:id routes so 'trending' is never matched as an :id.
+// Scores going=2, interested=1 per RSVP entry. Only public events trend —
+// every other privacy level is meant for a chosen audience.
+app.get('/api/events/trending', async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { data, error } = await sb
+    .from('events')
+    .select('*')
+    .eq('privacy', 'public')
     .order('created_at', { ascending: false })
     .limit(50);
 
@@ -406,155 +2190,1700 @@ app.get('/api/events/trending', async (req, res) => {
     .slice(0, 10)
     .map(({ _score, ...ev }) => ev);
 
-  res.json(sorted);
+  res.json(sorted);
+});
+
+// ── FOR YOU FEED ──────────────────────────────────────────────────────────────
+// Must stay BEFORE /api/events/:id routes, like trending.
+// Ranks upcoming events the caller may list from signals we already store:
+// hosts they follow, accepted friends who RSVPed, and the categories and tags
+// of events they have gone to. Events they host or already answered are left
+// out. Every item carries next_date, score and `reason` (the strongest signal,
+// e.g. "3 friends are going") plus all `reasons`. Paged by offset.
+const FEED_CANDIDATES = 500;
+const FEED_MAX        = 100;
+const FEED_WEIGHTS    = { followed_host: 3, friend_going: 2, friend_interested: 1, category: 1, tag: 0.5 };
+
+app.get('/api/events/for-you', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const me = req.user.id;
+  const paging = parsePaging(req.query, { offset: true });
+  if (paging.error) return res.status(400).json({ error: paging.error });
+  const today = new Date().toISOString().slice(0, 10);
+  const horizon = dayStr(dayNum(today) + MAX_RANGE_DAYS);
+
+  const [{ data: follows }, { data: friendships }, { data: mine }, { data: candidates, error }] = await Promise.all([
+    sb.from('follows').select('following_id').eq('follower_id', me).eq('status', 'accepted'),
+    sb.from('friends').select('sender_id, receiver_id').eq('status', 'accepted')
+      .or(`sender_id.eq.${me},receiver_id.eq.${me}`),
+    sb.from('event_rsvps').select('event_id, status, events(category, tags)').eq('user_id', me),
+    sb.rpc('listable_events', { p_user: me }).select('*')
+      .or(`date.gte.${today},date.is.null,rrule.not.is.null`)
+      .order('created_at', { ascending: false }).limit(FEED_CANDIDATES),
+  ]);
+  if (error) return res.status(500).json({ error: error.message });
+
+  const followed = new Set((follows || []).map(f => f.following_id));
+  const friendIds = (friendships || []).map(f => (f.sender_id === me ? f.receiver_id : f.sender_id));
+  const answered = new Set((mine || []).map(r => r.event_id));
+  const categoryCounts = {};
+  const tagCounts = {};
+  (mine || []).filter(r => r.status === 'going' && r.events).forEach(({ events: ev }) => {
+    if (ev.category) categoryCounts[ev.category.toLowerCase()] = (categoryCounts[ev.category.toLowerCase()] || 0) + 1;
+    (Array.isArray(ev.tags) ? ev.tags : []).forEach(t => { tagCounts[String(t).toLowerCase()] = (tagCounts[String(t).toLowerCase()] || 0) + 1; });
+  });
+
+  // Upcoming = a dated event from today on, the next occurrence of a series,
+  // or an event without a date yet
+  const upcoming = (candidates || [])
+    .filter(ev => ev.created_by !== me && !answered.has(ev.id))
+    .map(ev => {
+      if (!ev.rrule) return { ...ev, next_date: ev.date || null };
+      let next = null;
+      try { next = expandOccurrences(ev, today, horizon)[0] || null; } catch (_) {}
+      return next ? { ...ev, next_date: next } : null;
+    })
+    .filter(Boolean);
+
+  const friendRsvps = {};
+  let friendNames = new Map();
+  if (friendIds.length && upcoming.length) {
+    const [{ data: rsvps }, { data: names }] = await Promise.all([
+      sb.from('event_rsvps').select('event_id, user_id, status')
+        .in('user_id', friendIds).in('event_id', upcoming.map(ev => ev.id)).in('status', ['going', 'interested']),
+      sb.from('users').select('id, username').in('id', friendIds),
+    ]);
+    (rsvps || []).forEach(r => {
+      const entry = friendRsvps[r.event_id] = friendRsvps[r.event_id] || { going: new Set(), interested: new Set() };
+      entry[r.status].add(r.user_id);
+    });
+    friendNames = new Map((names || []).map(u => [u.id, u.username]));
+  }
+
+  const ranked = upcoming.map(ev => {
+    const signals = [];
+    const friends = friendRsvps[ev.id];
+    if (friends && friends.going.size) {
+      const n = friends.going.size;
+      signals.push({
+        weight: FEED_WEIGHTS.friend_going * n,
+        reason: n === 1 ? `${friendNames.get([...friends.going][0]) || 'A friend'} is going` : `${n} friends are going`,
+      });
+    }
+    if (friends && friends.interested.size) {
+      const n = friends.interested.size;
+      signals.push({
+        weight: FEED_WEIGHTS.friend_interested * n,
+        reason: n === 1
+          ? `${friendNames.get([...friends.interested][0]) || 'A friend'} is interested`
+          : `${n} friends are interested`,
+      });
+    }
+    if (followed.has(ev.created_by)) {
+      signals.push({ weight: FEED_WEIGHTS.followed_host, reason: `Hosted by ${ev.host || 'someone'}, who you follow` });
+    }
+    const category = String(ev.category || '').toLowerCase();
+    if (categoryCounts[category]) {
+      signals.push({
+        weight: FEED_WEIGHTS.category * Math.min(categoryCounts[category], 3),
+        reason: `Because you've been to ${ev.category} events`,
+      });
+    }
+    const tags = (Array.isArray(ev.tags) ? ev.tags : []).filter(t => tagCounts[String(t).toLowerCase()]);
+    if (tags.length) {
+      signals.push({
+        weight: FEED_WEIGHTS.tag * Math.min(tags.length, 4),
+        reason: `Matches your interests: ${tags.slice(0, 3).map(t => '#' + t).join(' ')}`,
+      });
+    }
+    signals.sort((a, b) => b.weight - a.weight);
+    return {
+      ...ev,
+      score: signals.reduce((sum, sig) => sum + sig.weight, 0),
+      reason: signals.length ? signals[0].reason : null,
+      reasons: signals.map(sig => sig.reason),
+    };
+  })
+    .filter(ev => ev.score > 0)
+    .sort((a, b) => b.score - a.score ||
+      (a.next_date || '9999-12-31').localeCompare(b.next_date || '9999-12-31'))
+    .slice(0, FEED_MAX);
+
+  res.json(paging.paged ? offsetPageOf(ranked, paging) : ranked);
+});
+
+// ── CREATE EVENT ──────────────────────────────────────────────────────────────
+app.post('/api/events', requireAuth, requireVerified, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const {
+    name, location, category, category_color, host, host_avatar, privacy,
+    lat, lng, description, date, time, max_attendees, tags, image, rrule, exdates,
+  } = req.body;
+
+  if (!name || !location || !category || !host)
+    return res.status(400).json({ error: 'name, location, category and host are required' });
+  if (privacy && !EVENT_PRIVACY.includes(privacy))
+    return res.status(400).json({ error: `privacy must be one of: ${EVENT_PRIVACY.join(', ')}` });
+
+  if (rrule) {
+    if (!isValidDate(date))
+      return res.status(400).json({ error: 'Recurring events need a start date (YYYY-MM-DD)' });
+    try {
+      // COUNT is tallied from DTSTART, so the whole series has to expand within the cap
+      if (parseRRule(rrule).count) expandOccurrences({ date, rrule }, date, '9999-12-31');
+    } catch (err) {
+      return res.status(400).json({ error: `Invalid rrule: ${err.message}` });
+    }
+    if (exdates && (!Array.isArray(exdates) || !exdates.every(isValidDate)))
+      return res.status(400).json({ error: 'exdates must be a list of YYYY-MM-DD dates' });
+  }
+
+  const { data, error } = await sb
+    .from('events')
+    .insert([{
+      name, location, category,
+      category_color: category_color || '#a855f7',
+      host,
+      host_avatar: host_avatar || null,
+      privacy: privacy || 'public',
+      share_token: privacy === 'unlisted' ? newShareToken() : null,
+      lat: lat || 0, lng: lng || 0,
+      rsvps: [],
+      description: description || null,
+      date: date || null, time: time || null,
+      rrule: rrule ? String(rrule).trim().replace(/^RRULE:/i, '').toUpperCase() : null,
+      exdates: rrule && exdates ? [...new Set(exdates)] : [],
+      max_attendees: max_attendees ? parseInt(max_attendees) : null,
+      tags: tags || [],
+      image: image || null,
+      created_by: req.user.id,
+    }])
+    .select()
+    .single();
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+// ── DELETE EVENT ──────────────────────────────────────────────────────────────
+app.delete('/api/events/:id', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { id } = req.params;
+  const { data: ev } = await sb
+    .from('events').select('created_by').eq('id', id).maybeSingle();
+  if (!ev) return res.status(404).json({ error: 'Event not found' });
+  if (ev.created_by !== req.user.id)
+    return res.status(403).json({ error: 'You can only delete your own events' });
+
+  const { error } = await sb.from('events').delete().eq('id', id);
+  if (error) return res.status(500).json({ error: error.message });
+  res.json({ success: true });
+});
+
+// ── GET SINGLE EVENT ──────────────────────────────────────────────────────────
+// GET /api/events/shared/:token — open an unlisted event from its share link.
+// The response keeps share_token so the client can pass it on (RSVP, comments).
+app.get('/api/events/shared/:token', optionalAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { data: ev } = await sb.from('events').select('*').eq('share_token', req.params.token).maybeSingle();
+  if (!ev || ev.privacy !== 'unlisted') return res.status(404).json({ error: 'Event not found' });
+  res.json(ev);
+});
+
+// GET /api/events/:id — one event, if the caller may see it
+app.get('/api/events/:id', optionalAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+  const ev = await loadVisibleEvent(sb, req, res);
+  if (!ev) return;
+  res.json(ev);
+});
+
+// PATCH /api/events/:id/privacy — { privacy } (host only). Moving to unlisted
+// creates a share link; moving away from it retires the link.
+app.patch('/api/events/:id/privacy', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { privacy } = req.body;
+  if (!EVENT_PRIVACY.includes(privacy))
+    return res.status(400).json({ error: `privacy must be one of: ${EVENT_PRIVACY.join(', ')}` });
+  const { data: ev } = await sb.from('events').select('created_by, share_token').eq('id', req.params.id).maybeSingle();
+  if (!ev) return res.status(404).json({ error: 'Event not found' });
+  if (ev.created_by !== req.user.id)
+    return res.status(403).json({ error: 'Only the host can change who sees this event' });
+
+  const share_token = privacy === 'unlisted' ? (ev.share_token || newShareToken()) : null;
+  const { data, error } = await sb.from('events')
+    .update({ privacy, share_token }).eq('id', req.params.id).select().single();
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+// POST /api/events/:id/share-token — new share link for an unlisted event;
+// the old link stops working (host and co-hosts)
+app.post('/api/events/:id/share-token', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { data: ev } = await sb.from('events').select('id, created_by, privacy').eq('id', req.params.id).maybeSingle();
+  if (!ev) return res.status(404).json({ error: 'Event not found' });
+  if (!(await isEventHost(sb, ev, req.user.id)))
+    return res.status(403).json({ error: 'Only the host and co-hosts can do that' });
+  if (ev.privacy !== 'unlisted')
+    return res.status(400).json({ error: 'Only unlisted events have share links' });
+
+  const { data, error } = await sb.from('events')
+    .update({ share_token: newShareToken() }).eq('id', ev.id).select('id, share_token').single();
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+// ── RSVP ─────────────────────────────────────────────────────────────────────
+// Handles going / interested / cancellation through the rsvp_event() SQL
+// function, which owns capacity, the waitlist and promotions atomically.
+// Responds with the event (rsvps mirror included) plus the caller's my_rsvp.
+// Notifies the host on new RSVPs and anyone promoted off the waitlist.
+// For recurring events, occurrence_date targets a single occurrence; leaving
+// it out RSVPs to the whole series. Answering also settles a pending invitation.
+const RSVP_STATUSES = ['going', 'interested'];
+
+async function applyRsvp(sb, req, res, id, status, occurrenceDate) {
+  const userId = req.user.id;
+
+  const { data: ev } = await sb
+    .from('events').select('id, name, created_by, date, rrule, exdates, privacy, share_token').eq('id', id).maybeSingle();
+  // Cancelling stays possible even if the caller lost access meanwhile
+  if (!ev || (status !== 'cancel' && !(await canViewEvent(sb, ev, userId, shareTokenOf(req)))))
+    return res.status(404).json({ error: 'Event not found' });
+
+  if (occurrenceDate) {
+    if (!ev.rrule)
+      return res.status(400).json({ error: 'occurrence_date only applies to recurring events' });
+    let valid = false;
+    try { valid = isOccurrence(ev, occurrenceDate); } catch (_) {}
+    if (!valid)
+      return res.status(400).json({ error: 'occurrence_date is not an occurrence of this event' });
+  }
+
+  // A whole-series RSVP has no per-date rows to remove
+  if (status === 'cancel' && occurrenceDate) {
+    const { data: mine } = await sb.from('event_rsvps').select('occurrence_date')
+      .eq('event_id', id).eq('user_id', userId)
+      .or(`occurrence_date.is.null,occurrence_date.eq.${occurrenceDate}`);
+    if (mine?.length && !mine.some(r => r.occurrence_date))
+      return res.status(409).json({
+        error: 'Your RSVP covers the whole series. Cancel it without occurrence_date, then RSVP to the dates you will attend.',
+      });
+  }
+
+  const { data: result, error: rpcErr } = await sb
+    .rpc('rsvp_event', {
+      p_event: id, p_user: userId, p_status: status, p_occurrence: occurrenceDate || null,
+    });
+  if (rpcErr) return res.status(500).json({ error: rpcErr.message });
+
+  if (result.status) {
+    await sb.from('event_invitations')
+      .update({ status: 'accepted', responded_at: new Date().toISOString() })
+      .eq('event_id', id).eq('invitee_id', userId).eq('status', 'pending');
+  }
+
+  const { data, error } = await sb.from('events').select('*').eq('id', id).single();
+  if (error) return res.status(500).json({ error: error.message });
+
+  // Notify host on new RSVP only (not cancellations, not self-RSVP)
+  if (!result.previous && result.status && ev.created_by && ev.created_by !== userId) {
+    const { data: me } = await sb
+      .from('users').select('username').eq('id', userId).maybeSingle();
+    const emoji = { going: '🎉', interested: '👀', waitlisted: '⏳' }[result.status];
+    const verb  = {
+      going: 'is going to', interested: 'is interested in', waitlisted: 'joined the waitlist for',
+    }[result.status];
+    const verbMany = {
+      going: 'are going to', interested: 'are interested in', waitlisted: 'joined the waitlist for',
+    }[result.status];
+    notify(sb, {
+      user_id: ev.created_by,
+      type: 'rsvp',
+      title: `${me?.username || 'Someone'} ${verb} "${ev.name}" ${emoji}`,
+      body: 'Check out your event.',
+      data: { event_id: id, user_id: userId, status: result.status, occurrence_date: occurrenceDate || null },
+      group: {
+        key: `event:${id}:${occurrenceDate || 'series'}:${result.status}`,
+        actor_id: userId, actor_name: me?.username, action_many: `${verbMany} "${ev.name}" ${emoji}`,
+      },
+    });
+  }
+
+  (result.promoted || []).forEach(p => {
+    notify(sb, {
+      user_id: p.user_id,
+      type: 'rsvp_promoted',
+      title: `A spot opened up — you're going to "${ev.name}"${p.occurrence_date ? ` on ${p.occurrence_date}` : ''}! 🎉`,
+      body: 'You were moved off the waitlist.',
+      data: { event_id: id, status: 'going', occurrence_date: p.occurrence_date },
+    });
+  });
+
+  res.json({
+    ...data,
+    my_rsvp: {
+      status: result.status,
+      waitlist_position: result.waitlist_position,
+      occurrence_date: occurrenceDate || null,
+    },
+  });
+}
+
+app.post('/api/events/:id/rsvp', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { status = 'going', occurrence_date } = req.body;
+  if (!RSVP_STATUSES.includes(status))
+    return res.status(400).json({ error: 'status must be "going" or "interested"' });
+  await applyRsvp(sb, req, res, req.params.id, status, occurrence_date);
+});
+
+// DELETE /api/events/:id/rsvp — cancel the caller's RSVP or leave the waitlist
+// (?occurrence_date= for a single occurrence of a recurring event)
+app.delete('/api/events/:id/rsvp', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+  await applyRsvp(sb, req, res, req.params.id, 'cancel', req.query.occurrence_date || req.body.occurrence_date);
+});
+
+// GET /api/events/:id/rsvps — attendees grouped by status, waitlist in queue order
+// ?occurrence_date= lists one occurrence: its own RSVPs plus whole-series ones
+app.get('/api/events/:id/rsvps', optionalAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { occurrence_date } = req.query;
+  if (occurrence_date && !isValidDate(occurrence_date))
+    return res.status(400).json({ error: 'occurrence_date must be YYYY-MM-DD' });
+  if (!(await loadVisibleEvent(sb, req, res, 'name'))) return;
+
+  let query = sb
+    .from('event_rsvps')
+    .select('user_id, status, occurrence_date, created_at, updated_at, users(username, avatar)')
+    .eq('event_id', req.params.id)
+    .order('updated_at', { ascending: true });
+  query = occurrence_date
+    ? query.or(`occurrence_date.is.null,occurrence_date.eq.${occurrence_date}`)
+    : query.is('occurrence_date', null);
+  const { data, error } = await query;
+  if (error) return res.status(500).json({ error: error.message });
+
+  const grouped = { going: [], interested: [], waitlisted: [] };
+  (data || []).forEach(({ users, ...r }) => {
+    grouped[r.status].push({ ...r, username: users?.username, avatar: users?.avatar || '' });
+  });
+  res.json(grouped);
+});
+
+// DELETE /api/events/:id/occurrences/:date — host cancels one occurrence of a
+// recurring event. The date joins exdates and only that occurrence's RSVPs are
+// dropped; the rest of the series is untouched.
+app.delete('/api/events/:id/occurrences/:date', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { id, date } = req.params;
+  const { data: ev } = await sb
+    .from('events').select('id, name, created_by, date, rrule, exdates').eq('id', id).maybeSingle();
+  if (!ev) return res.status(404).json({ error: 'Event not found' });
+  if (ev.created_by !== req.user.id)
+    return res.status(403).json({ error: 'Only the host can cancel occurrences' });
+  if (!ev.rrule) return res.status(400).json({ error: 'This event does not repeat' });
+  let valid = false;
+  try { valid = isOccurrence(ev, date); } catch (_) {}
+  if (!valid) return res.status(404).json({ error: 'No occurrence on that date' });
+
+  const { data, error } = await sb
+    .from('events')
+    .update({ exdates: [...(ev.exdates || []), date].sort() })
+    .eq('id', id)
+    .select()
+    .single();
+  if (error) return res.status(500).json({ error: error.message });
+
+  // Tell everyone who planned to be there — single-occurrence and series RSVPs
+  const { data: affected } = await sb
+    .from('event_rsvps')
+    .select('user_id')
+    .eq('event_id', id)
+    .or(`occurrence_date.is.null,occurrence_date.eq.${date}`);
+  await sb.from('event_rsvps').delete().eq('event_id', id).eq('occurrence_date', date);
+
+  [...new Set((affected || []).map(r => r.user_id))]
+    .filter(uid => uid !== req.user.id)
+    .forEach(uid => notify(sb, {
+      user_id: uid,
+      type: 'event_cancelled',
+      title: `"${ev.name}" on ${date} is cancelled`,
+      body: 'Other dates in the series are still on.',
+      data: { event_id: id, occurrence_date: date },
+    }));
+
+  res.json(data);
+});
+
+// ── EVENT INVITATIONS ─────────────────────────────────────────────────────────
+// The host and co-hosts invite individual users, all of their accepted
+// friends, or every member of a community they belong to. Invitations are
+// deduplicated per event; blocked users, the host and people who already
+// RSVPed are skipped. Invitees accept (which RSVPs them) or decline; hosts
+// see statuses and can resend a pending invite once per cooldown.
+const INVITE_MAX_BATCH       = 500;
+const INVITE_RESEND_COOLDOWN = 60 * 60 * 1000;
+const INVITE_STATUSES        = ['pending', 'accepted', 'declined'];
+
+async function isEventHost(sb, ev, userId) {
+  if (!userId) return false;
+  if (ev.created_by === userId) return true;
+  const { data } = await sb.from('event_cohosts')
+    .select('user_id').eq('event_id', ev.id).eq('user_id', userId).maybeSingle();
+  return !!data;
+}
+
+// Loads the event for a host-only route, or sends 404 / 403
+async function loadHostedEvent(sb, req, res, columns = '') {
+  const { data: ev } = await sb.from('events')
+    .select(`id, name, created_by${columns ? `, ${columns}` : ''}`).eq('id', req.params.id).maybeSingle();
+  if (!ev) { res.status(404).json({ error: 'Event not found' }); return null; }
+  if (!(await isEventHost(sb, ev, req.user.id))) {
+    res.status(403).json({ error: 'Only the host and co-hosts can do that' });
+    return null;
+  }
+  return ev;
+}
+
+function sendInvite(sb, ev, invitation, inviterName) {
+  notify(sb, {
+    user_id: invitation.invitee_id,
+    type: 'event_invite',
+    title: `${inviterName || 'Someone'} invited you to "${ev.name}" 💌`,
+    body: 'Accept or decline in your invitations.',
+    data: { event_id: ev.id, invitation_id: invitation.id, sender_id: invitation.invited_by },
+  });
+}
+
+// GET /api/events/:id/cohosts
+app.get('/api/events/:id/cohosts', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+  const ev = await loadHostedEvent(sb, req, res);
+  if (!ev) return;
+
+  const { data, error } = await sb.from('event_cohosts')
+    .select('user_id, created_at, users!event_cohosts_user_id_fkey(username, avatar)').eq('event_id', ev.id);
+  if (error) return res.status(500).json({ error: error.message });
+  res.json((data || []).map(({ users, ...c }) => ({ ...c, username: users?.username, avatar: users?.avatar })));
+});
+
+// POST /api/events/:id/cohosts — { user_id } (host only)
+app.post('/api/events/:id/cohosts', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { user_id } = req.body;
+  if (!UUID_RE.test(user_id || '')) return res.status(400).json({ error: 'user_id required' });
+  const { data: ev } = await sb.from('events').select('id, name, created_by').eq('id', req.params.id).maybeSingle();
+  if (!ev) return res.status(404).json({ error: 'Event not found' });
+  if (ev.created_by !== req.user.id) return res.status(403).json({ error: 'Only the host can add co-hosts' });
+  if (user_id === ev.created_by) return res.status(400).json({ error: 'The host is already hosting' });
+  if (await isBlockedBetween(sb, req.user.id, user_id))
+    return res.status(403).json({ error: "You can't add this user" });
+
+  const { error } = await sb.from('event_cohosts')
+    .upsert([{ event_id: ev.id, user_id, added_by: req.user.id }],
+      { onConflict: 'event_id,user_id', ignoreDuplicates: true });
+  if (error) return res.status(500).json({ error: error.message });
+  notify(sb, {
+    user_id, type: 'event_cohost',
+    title: `You're now co-hosting "${ev.name}" 🤝`,
+    body: '', data: { event_id: ev.id },
+  });
+  res.json({ success: true });
+});
+
+// DELETE /api/events/:id/cohosts/:userId — host removes a co-host, or a co-host steps down
+app.delete('/api/events/:id/cohosts/:userId', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { data: ev } = await sb.from('events').select('created_by').eq('id', req.params.id).maybeSingle();
+  if (!ev) return res.status(404).json({ error: 'Event not found' });
+  if (ev.created_by !== req.user.id && req.params.userId !== req.user.id)
+    return res.status(403).json({ error: 'Only the host can remove co-hosts' });
+
+  const { error } = await sb.from('event_cohosts')
+    .delete().eq('event_id', req.params.id).eq('user_id', req.params.userId);
+  if (error) return res.status(500).json({ error: error.message });
+  res.json({ success: true });
+});
+
+// POST /api/events/:id/invitations — { user_ids?: [...], friends?: true, community_id? }
+app.post('/api/events/:id/invitations', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { user_ids = [], friends = false, community_id } = req.body;
+  if (!Array.isArray(user_ids) || !user_ids.every(id => UUID_RE.test(id)))
+    return res.status(400).json({ error: 'user_ids must be a list of user ids' });
+  if (community_id !== undefined && !UUID_RE.test(community_id))
+    return res.status(400).json({ error: 'Invalid community_id' });
+  if (!user_ids.length && !friends && !community_id)
+    return res.status(400).json({ error: 'Give user_ids, friends: true or a community_id' });
+  const ev = await loadHostedEvent(sb, req, res);
+  if (!ev) return;
+  const me = req.user.id;
+
+  // Collect targets with the most specific source winning
+  const targets = new Map(user_ids.map(id => [id, 'user']));
+  if (friends) {
+    const { data: rows } = await sb.from('friends').select('sender_id, receiver_id')
+      .eq('status', 'accepted').or(`sender_id.eq.${me},receiver_id.eq.${me}`);
+    (rows || []).forEach(f => {
+      const id = f.sender_id === me ? f.receiver_id : f.sender_id;
+      if (!targets.has(id)) targets.set(id, 'friends');
+    });
+  }
+  if (community_id) {
+    if (!(await isCommunityMember(sb, community_id, me)))
+      return res.status(403).json({ error: 'You can only invite communities you belong to' });
+    const { data: rows } = await sb.from('community_members').select('user_id').eq('community_id', community_id);
+    (rows || []).forEach(m => { if (!targets.has(m.user_id)) targets.set(m.user_id, 'community'); });
+  }
+  targets.delete(me);
+  targets.delete(ev.created_by);
+  if (targets.size > INVITE_MAX_BATCH)
+    return res.status(400).json({ error: `At most ${INVITE_MAX_BATCH} people per invitation batch` });
+
+  // Filter with whole-event / whole-user lists rather than id lists, which
+  // would overflow the request URL for big communities. Explicit user_ids
+  // (at most INVITE_MAX_BATCH) are looked up so unknown ids are skipped rather
+  // than failing the insert; friend and member ids always reference real users.
+  const requested = targets.size;
+  if (requested) {
+    const typed = [...targets].filter(([, source]) => source === 'user').map(([id]) => id);
+    const [{ data: blocks }, { data: rsvped }, { data: invited }, { data: known, error }] = await Promise.all([
+      sb.from('user_blocks').select('blocker_id, blocked_id').or(`blocker_id.eq.${me},blocked_id.eq.${me}`),
+      sb.from('event_rsvps').select('user_id').eq('event_id', ev.id),
+      sb.from('event_invitations').select('invitee_id').eq('event_id', ev.id),
+      typed.length ? sb.from('users').select('id').in('id', typed) : { data: [] },
+    ]);
+    if (error) return res.status(500).json({ error: error.message });
+    const knownIds = new Set(known.map(u => u.id));
+    typed.forEach(id => { if (!knownIds.has(id)) targets.delete(id); });
+    (blocks || []).forEach(b => targets.delete(b.blocker_id === me ? b.blocked_id : b.blocker_id));
+    (rsvped || []).forEach(r => targets.delete(r.user_id));
+    (invited || []).forEach(i => targets.delete(i.invitee_id));
+  }
+
+  let created = [];
+  if (targets.size) {
+    const { data, error } = await sb.from('event_invitations')
+      .upsert([...targets].map(([invitee_id, source]) => ({ event_id: ev.id, invitee_id, invited_by: me, source })),
+        { onConflict: 'event_id,invitee_id', ignoreDuplicates: true })
+      .select();
+    if (error) return res.status(500).json({ error: error.message });
+    created = data || [];
+  }
+
+  const { data: inviter } = await sb.from('users').select('username').eq('id', me).maybeSingle();
+  created.forEach(inv => sendInvite(sb, ev, inv, inviter?.username));
+  res.json({ invited: created.length, skipped: requested - created.length, invitations: created });
+});
+
+// GET /api/events/:id/invitations?status= — host view with per-status counts
+app.get('/api/events/:id/invitations', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+  const { status } = req.query;
+  if (status && !INVITE_STATUSES.includes(status))
+    return res.status(400).json({ error: `status must be one of: ${INVITE_STATUSES.join(', ')}` });
+  const ev = await loadHostedEvent(sb, req, res);
+  if (!ev) return;
+
+  const { data, error } = await sb.from('event_invitations')
+    .select('*, users!event_invitations_invitee_id_fkey(username, avatar)')
+    .eq('event_id', ev.id).order('created_at', { ascending: false });
+  if (error) return res.status(500).json({ error: error.message });
+
+  const rows = (data || []).map(({ users, ...inv }) => ({ ...inv, username: users?.username, avatar: users?.avatar }));
+  const counts = Object.fromEntries(INVITE_STATUSES.map(st => [st, rows.filter(r => r.status === st).length]));
+  res.json({ counts, invitations: status ? rows.filter(r => r.status === status) : rows });
+});
+
+// POST /api/events/:id/invitations/:invitationId/resend — pending invites only
+app.post('/api/events/:id/invitations/:invitationId/resend', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+  const ev = await loadHostedEvent(sb, req, res);
+  if (!ev) return;
+
+  const { data: inv } = await sb.from('event_invitations')
+    .select('*').eq('id', req.params.invitationId).eq('event_id', ev.id).maybeSingle();
+  if (!inv) return res.status(404).json({ error: 'Invitation not found' });
+  if (inv.status !== 'pending') return res.status(409).json({ error: 'Invitation already ' + inv.status });
+  if (Date.now() - new Date(inv.last_sent_at).getTime() < INVITE_RESEND_COOLDOWN)
+    return res.status(429).json({ error: 'This invitation was sent less than an hour ago' });
+
+  const { data, error } = await sb.from('event_invitations')
+    .update({ send_count: inv.send_count + 1, last_sent_at: new Date().toISOString() })
+    .eq('id', inv.id).eq('status', 'pending').select().maybeSingle();
+  if (error) return res.status(500).json({ error: error.message });
+  if (!data) return res.status(409).json({ error: 'Invitation was just answered' });
+
+  const { data: inviter } = await sb.from('users').select('username').eq('id', req.user.id).maybeSingle();
+  sendInvite(sb, ev, { ...data, invited_by: req.user.id }, inviter?.username);
+  res.json(data);
+});
+
+// DELETE /api/events/:id/invitations/:invitationId — withdraw an invitation
+app.delete('/api/events/:id/invitations/:invitationId', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+  const ev = await loadHostedEvent(sb, req, res);
+  if (!ev) return;
+
+  const { data, error } = await sb.from('event_invitations')
+    .delete().eq('id', req.params.invitationId).eq('event_id', ev.id).select('id').maybeSingle();
+  if (error) return res.status(500).json({ error: error.message });
+  if (!data) return res.status(404).json({ error: 'Invitation not found' });
+  res.json({ success: true });
+});
+
+// GET /api/invitations?status= — the caller's invitations (pending by default)
+app.get('/api/invitations', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+  const { status = 'pending' } = req.query;
+  if (!INVITE_STATUSES.includes(status))
+    return res.status(400).json({ error: `status must be one of: ${INVITE_STATUSES.join(', ')}` });
+
+  const { data, error } = await sb.from('event_invitations')
+    .select('*, events(id, name, date, time, location, host, host_avatar, category, rrule)')
+    .eq('invitee_id', req.user.id).eq('status', status)
+    .order('last_sent_at', { ascending: false });
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data || []);
+});
+
+// Loads the caller's own invitation, or sends 404 / 409
+async function loadMyInvitation(sb, req, res) {
+  const { data: inv } = await sb.from('event_invitations')
+    .select('*').eq('id', req.params.id).eq('invitee_id', req.user.id).maybeSingle();
+  if (!inv) { res.status(404).json({ error: 'Invitation not found' }); return null; }
+  if (inv.status !== 'pending') { res.status(409).json({ error: 'Invitation already ' + inv.status }); return null; }
+  return inv;
+}
+
+// POST /api/invitations/:id/accept — { status?: 'going' | 'interested', occurrence_date? }
+// Responds like POST /api/events/:id/rsvp
+app.post('/api/invitations/:id/accept', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { status = 'going', occurrence_date } = req.body;
+  if (!RSVP_STATUSES.includes(status))
+    return res.status(400).json({ error: 'status must be "going" or "interested"' });
+  const inv = await loadMyInvitation(sb, req, res);
+  if (!inv) return;
+  await applyRsvp(sb, req, res, inv.event_id, status, occurrence_date);
+});
+
+// POST /api/invitations/:id/decline
+app.post('/api/invitations/:id/decline', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+  const inv = await loadMyInvitation(sb, req, res);
+  if (!inv) return;
+
+  const { data, error } = await sb.from('event_invitations')
+    .update({ status: 'declined', responded_at: new Date().toISOString() })
+    .eq('id', inv.id).eq('status', 'pending').select().maybeSingle();
+  if (error) return res.status(500).json({ error: error.message });
+  if (!data) return res.status(409).json({ error: 'Invitation was just answered' });
+  res.json(data);
+});
+
+// ── EVENT CHECK-IN ────────────────────────────────────────────────────────────
+// Every "going" RSVP has a ticket: a compact JWS (EdDSA) the client shows as a
+// QR code. Each event signs with its own Ed25519 key, derived from the token
+// secret so nothing extra is stored. Hosts scan tickets online, or verify them
+// offline against the event's public key and upload the scans later. A ticket
+// is tied to its RSVP row, so cancelling and re-RSVPing voids the old one.
+const CHECKIN_SYNC_MAX = 500;
+const CHECKIN_GRACE_MS = 2 * 3600 * 1000;     // before doors and after the end
+const CHECKIN_EVENT_MS = 2 * 3600 * 1000;     // same default length as the iCalendar feed
+const CHECKIN_CLOCK_SKEW_MS = 5 * 60 * 1000;  // offline scanners whose clock runs ahead
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+function ticketKey(eventId) {
+  const seed = crypto.createHmac('sha256', tokenSecret()).update(`ticket-key:${eventId}`).digest();
+  return crypto.createPrivateKey({ key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]), format: 'der', type: 'pkcs8' });
+}
+
+// Needs rsvp.id, event_id, user_id and occurrence_date. Ed25519 is
+// deterministic, so the same RSVP always yields the same ticket.
+function signTicket(rsvp) {
+  const head = b64url({ alg: 'EdDSA', typ: 'ticket', kid: rsvp.event_id });
+  const body = b64url({
+    typ: 'ticket', e: rsvp.event_id, u: rsvp.user_id, r: rsvp.id, o: rsvp.occurrence_date || null,
+  });
+  const sig = crypto.sign(null, Buffer.from(`${head}.${body}`), ticketKey(rsvp.event_id));
+  return `${head}.${body}.${sig.toString('base64url')}`;
+}
+
+// Returns the ticket's claims if it is validly signed for eventId, else null
+function verifyTicket(token, eventId) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3 || !tokenSecret()) return null;
+  let ok = false;
+  try {
+    ok = crypto.verify(null, Buffer.from(`${parts[0]}.${parts[1]}`),
+      crypto.createPublicKey(ticketKey(eventId)), Buffer.from(parts[2], 'base64url'));
+  } catch (_) {}
+  if (!ok) return null;
+  let claims;
+  try { claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')); } catch (_) { return null; }
+  return claims.typ === 'ticket' && claims.e === eventId ? claims : null;
+}
+
+// The occurrence a scan counts toward: the ticket's own date, or for a
+// whole-series ticket the date being scanned for. One-off events use null.
+function checkinOccurrence(ev, claims, requested) {
+  if (!ev.rrule) return { date: null };
+  if (claims.o && requested && requested !== claims.o) return { error: 'This ticket is for another date' };
+  const date = claims.o || requested;
+  if (!date) return { error: 'occurrence_date required for recurring events' };
+  let valid = false;
+  try { valid = isOccurrence(ev, date); } catch (_) {}
+  return valid ? { date } : { error: 'occurrence_date is not an occurrence of this event' };
+}
+
+// Epoch ms of a wall-clock 'YYYY-MM-DD' + 'H:MM' in a timezone
+function zonedTime(ymd, hm, tz) {
+  const [h, m] = hm.split(':').map(n => parseInt(n, 10));
+  const guess = Date.UTC(...ymd.split('-').map((n, i) => Number(n) - (i === 1 ? 1 : 0)), h, m);
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit',
+  }).formatToParts(guess);
+  const get = type => Number(parts.find(p => p.type === type).value);
+  const shown = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'));
+  return guess - (shown - guess);
+}
+
+// When check-ins for an occurrence are accepted: its start to its end, plus
+// CHECKIN_GRACE_MS either side. Event times are floating, so they're read in
+// the host's timezone; untimed events span their whole day. Null for
+// undated events.
+function checkinWindow(ev, date, tz) {
+  const day = date || ev.date;
+  if (!isValidDate(day)) return null;
+  const timed = /^\d{1,2}:\d{2}/.test(ev.time || '');
+  const start = zonedTime(day, timed ? ev.time : '0:00', tz);
+  const end   = timed ? start + CHECKIN_EVENT_MS : zonedTime(dayStr(dayNum(day) + 1), '0:00', tz);
+  return { from: start - CHECKIN_GRACE_MS, to: end + CHECKIN_GRACE_MS };
+}
+
+// Event times are read in the host's notification timezone
+async function hostTimezone(sb, ev) {
+  const { data: prefs } = await sb.from('notification_preferences')
+    .select('timezone').eq('user_id', ev.created_by).maybeSingle();
+  return prefs?.timezone && isValidTimezone(prefs.timezone) ? prefs.timezone : 'UTC';
+}
+
+function atOccurrence(query, date) {
+  return date ? query.eq('occurrence_date', date) : query.is('occurrence_date', null);
+}
+
+// GET /api/events/:id/ticket — the caller's ticket for their going RSVP.
+// ?occurrence_date= picks a single-occurrence RSVP; otherwise the one-off or
+// whole-series RSVP is used.
+app.get('/api/events/:id/ticket', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { occurrence_date } = req.query;
+  if (occurrence_date && !isValidDate(occurrence_date))
+    return res.status(400).json({ error: 'occurrence_date must be YYYY-MM-DD' });
+
+  const { data: rsvp, error } = await atOccurrence(
+    sb.from('event_rsvps').select('id, event_id, user_id, status, occurrence_date')
+      .eq('event_id', req.params.id).eq('user_id', req.user.id),
+    occurrence_date,
+  ).maybeSingle();
+  if (error) return res.status(500).json({ error: error.message });
+  if (!rsvp || rsvp.status !== 'going')
+    return res.status(404).json({ error: "You don't have a ticket for this event" });
+
+  res.json({ event_id: rsvp.event_id, occurrence_date: rsvp.occurrence_date, token: signTicket(rsvp) });
+});
+
+// GET /api/events/:id/checkin-key — the event's public key as a JWK, for
+// verifying tickets offline (host only). A ticket is valid when its signature
+// checks out and its payload's e is this event; offline scanners have to
+// catch replays themselves until they sync.
+app.get('/api/events/:id/checkin-key', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+  const ev = await loadHostedEvent(sb, req, res);
+  if (!ev) return;
+
+  const jwk = crypto.createPublicKey(ticketKey(ev.id)).export({ format: 'jwk' });
+  res.json({ event_id: ev.id, key: { ...jwk, kid: ev.id, alg: 'EdDSA', use: 'sig' } });
+});
+
+// POST /api/events/:id/checkin — { token, occurrence_date } scan a ticket
+// (host only) during the occurrence's checkinWindow. A ticket is admitted once
+// per occurrence; a second scan gets 409 with the original arrival time.
+app.post('/api/events/:id/checkin', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+  const ev = await loadHostedEvent(sb, req, res, 'date, time, rrule, exdates');
+  if (!ev) return;
+
+  const claims = verifyTicket(req.body.token, ev.id);
+  if (!claims) return res.status(400).json({ error: 'Invalid ticket' });
+  const occurrence = checkinOccurrence(ev, claims, req.body.occurrence_date);
+  if (occurrence.error) return res.status(400).json({ error: occurrence.error });
+  const window = checkinWindow(ev, occurrence.date, await hostTimezone(sb, ev));
+  const now = Date.now();
+  if (window && (now < window.from || now > window.to))
+    return res.status(400).json({ error: "Check-in isn't open for this date" });
+
+  const { data: rsvp } = await sb.from('event_rsvps').select('id, status')
+    .eq('id', claims.r).eq('event_id', ev.id).eq('user_id', claims.u).maybeSingle();
+  if (!rsvp || rsvp.status !== 'going')
+    return res.status(409).json({ error: 'This ticket is no longer valid' });
+
+  const { data: checkin, error } = await sb.from('event_checkins')
+    .insert([{
+      event_id: ev.id, user_id: claims.u, occurrence_date: occurrence.date,
+      rsvp_id: rsvp.id, checked_in_by: req.user.id,
+    }])
+    .select('checked_in_at')
+    .single();
+  if (error && error.code === '23505') {
+    const { data: prior } = await atOccurrence(
+      sb.from('event_checkins').select('checked_in_at').eq('event_id', ev.id).eq('user_id', claims.u),
+      occurrence.date,
+    ).maybeSingle();
+    return res.status(409).json({ error: 'Ticket already used', checked_in_at: prior?.checked_in_at || null });
+  }
+  if (error) return res.status(500).json({ error: error.message });
+
+  const { data: user } = await sb.from('users').select('username, avatar').eq('id', claims.u).maybeSingle();
+  res.json({
+    checked_in: true,
+    user_id: claims.u,
+    username: user?.username,
+    avatar: user?.avatar || '',
+    occurrence_date: occurrence.date,
+    checked_in_at: checkin.checked_in_at,
+  });
+});
+
+// POST /api/events/:id/checkin/sync — { checkins: [{ token, checked_in_at,
+// occurrence_date }] } uploads scans made offline (host only). Each entry
+// comes back with a result: checked_in, duplicate (already in; the earlier
+// arrival time wins), invalid (bad ticket or date, or checked_in_at outside
+// the occurrence's checkinWindow) or revoked (the RSVP is no longer going, so
+// nothing is recorded). Times up to CHECKIN_CLOCK_SKEW_MS ahead of the server
+// are taken as now.
+app.post('/api/events/:id/checkin/sync', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const items = req.body.checkins;
+  if (!Array.isArray(items) || !items.length)
+    return res.status(400).json({ error: 'checkins must be a non-empty array' });
+  if (items.length > CHECKIN_SYNC_MAX)
+    return res.status(400).json({ error: `At most ${CHECKIN_SYNC_MAX} check-ins per sync` });
+  const ev = await loadHostedEvent(sb, req, res, 'date, time, rrule, exdates');
+  if (!ev) return;
+  const tz = await hostTimezone(sb, ev);
+
+  const now = Date.now();
+  const results = items.map((item, index) => {
+    const claims = verifyTicket(item?.token, ev.id);
+    if (!claims) return { index, result: 'invalid', error: 'Invalid ticket' };
+    const occurrence = checkinOccurrence(ev, claims, item.occurrence_date);
+    if (occurrence.error) return { index, result: 'invalid', error: occurrence.error };
+    let at = item.checked_in_at ? new Date(item.checked_in_at).getTime() : now;
+    if (Number.isNaN(at)) return { index, result: 'invalid', error: 'checked_in_at must be a timestamp' };
+    if (at > now + CHECKIN_CLOCK_SKEW_MS)
+      return { index, result: 'invalid', error: 'checked_in_at is in the future' };
+    at = Math.min(at, now);
+    const window = checkinWindow(ev, occurrence.date, tz);
+    if (window && (at < window.from || at > window.to))
+      return { index, result: 'invalid', error: "checked_in_at is outside the event's check-in window" };
+    return { index, claims, occurrence_date: occurrence.date, at };
+  });
+
+  // Look up only this batch's RSVPs and check-ins, one query per occurrence
+  // date, so each stays within CHECKIN_SYNC_MAX rows
+  const scanned = results.filter(r => r.claims);
+  const usersByDate = new Map();
+  scanned.forEach(r => {
+    const users = usersByDate.get(r.occurrence_date) || new Set();
+    usersByDate.set(r.occurrence_date, users.add(r.claims.u));
+  });
+  const [{ data: going, error }, ...existing] = await Promise.all([
+    sb.from('event_rsvps').select('id, user_id').eq('event_id', ev.id).eq('status', 'going')
+      .in('id', [...new Set(scanned.map(r => r.claims.r))]),
+    ...[...usersByDate].map(([date, users]) => atOccurrence(
+      sb.from('event_checkins').select('id, user_id, occurrence_date, checked_in_at')
+        .eq('event_id', ev.id).in('user_id', [...users]),
+      date,
+    )),
+  ]);
+  const lookupError = error || existing.find(e => e.error)?.error;
+  if (lookupError) return res.status(500).json({ error: lookupError.message });
+
+  const goingById = new Map((going || []).map(r => [r.id, r]));
+  const seen = new Map(existing.flatMap(e => e.data).map(c => [`${c.user_id}|${c.occurrence_date || ''}`, c]));
+  const inserts = [];
+  const earlier = [];
+
+  // Oldest scans first, so the earliest of several devices' scans is kept
+  scanned.sort((a, b) => a.at - b.at).forEach(r => {
+    const { claims } = r;
+    const checked_in_at = new Date(r.at).toISOString();
+    delete r.claims;
+    delete r.at;
+    r.user_id = claims.u;
+    if (goingById.get(claims.r)?.user_id !== claims.u) { r.result = 'revoked'; return; }
+
+    const key = `${claims.u}|${r.occurrence_date || ''}`;
+    const prior = seen.get(key);
+    if (prior) {
+      r.result = 'duplicate';
+      if (prior.id && checked_in_at < new Date(prior.checked_in_at).toISOString()) {
+        prior.checked_in_at = checked_in_at;
+        earlier.push(prior);
+      }
+      r.checked_in_at = prior.checked_in_at;
+      return;
+    }
+    const row = {
+      event_id: ev.id, user_id: claims.u, occurrence_date: r.occurrence_date,
+      rsvp_id: claims.r, checked_in_by: req.user.id, source: 'offline', checked_in_at,
+    };
+    seen.set(key, row);
+    inserts.push(row);
+    r.result = 'checked_in';
+    r.checked_in_at = checked_in_at;
+  });
+
+  if (inserts.length) {
+    const { error: insertError } = await sb.from('event_checkins')
+      .upsert(inserts, { onConflict: 'event_id,user_id,occurrence_date', ignoreDuplicates: true });
+    if (insertError) return res.status(500).json({ error: insertError.message });
+  }
+  await Promise.all([...new Set(earlier)].map(c =>
+    sb.from('event_checkins').update({ checked_in_at: c.checked_in_at }).eq('id', c.id)));
+
+  const counts = { checked_in: 0, duplicate: 0, invalid: 0, revoked: 0 };
+  results.forEach(r => { counts[r.result]++; });
+  res.json({ counts, results });
+});
+
+// GET /api/events/:id/attendance — going attendees with check-in state
+// (host only), checked-in first in arrival order, then no-shows.
+// ?occurrence_date= is required for recurring events.
+app.get('/api/events/:id/attendance', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+  const ev = await loadHostedEvent(sb, req, res, 'date, rrule, exdates');
+  if (!ev) return;
+
+  const occurrence_date = ev.rrule ? req.query.occurrence_date : null;
+  if (ev.rrule) {
+    const occurrence = checkinOccurrence(ev, {}, occurrence_date);
+    if (occurrence.error) return res.status(400).json({ error: occurrence.error });
+  }
+
+  let goingQuery = sb.from('event_rsvps').select('user_id').eq('event_id', ev.id).eq('status', 'going');
+  goingQuery = occurrence_date
+    ? goingQuery.or(`occurrence_date.is.null,occurrence_date.eq.${occurrence_date}`)
+    : goingQuery.is('occurrence_date', null);
+  const [{ data: going, error }, { data: checkins }] = await Promise.all([
+    goingQuery,
+    atOccurrence(sb.from('event_checkins').select('user_id, checked_in_at, source').eq('event_id', ev.id), occurrence_date),
+  ]);
+  if (error) return res.status(500).json({ error: error.message });
+
+  const arrivals = new Map((checkins || []).map(c => [c.user_id, c]));
+  const ids = [...new Set([...(going || []).map(r => r.user_id), ...arrivals.keys()])];
+  const { data: users } = ids.length
+    ? await sb.from('users').select('id, username, avatar').in('id', ids)
+    : { data: [] };
+  const byId = Object.fromEntries((users || []).map(u => [u.id, u]));
+
+  const attendees = ids.map(id => {
+    const c = arrivals.get(id);
+    return {
+      user_id: id,
+      username: byId[id]?.username,
+      avatar: byId[id]?.avatar || '',
+      status: c ? 'checked_in' : 'no_show',
+      checked_in_at: c?.checked_in_at || null,
+      source: c?.source || null,
+    };
+  }).sort((a, b) =>
+    (a.checked_in_at && b.checked_in_at)
+      ? new Date(a.checked_in_at) - new Date(b.checked_in_at)
+      : a.checked_in_at ? -1 : b.checked_in_at ? 1 : (a.username || '').localeCompare(b.username || ''));
+
+  res.json({
+    event_id: ev.id,
+    occurrence_date,
+    going: new Set((going || []).map(r => r.user_id)).size,
+    checked_in: arrivals.size,
+    no_show: attendees.filter(a => a.status === 'no_show').length,
+    attendees,
+  });
+});
+
+// ── ICALENDAR ─────────────────────────────────────────────────────────────────
+// RFC 5545 output. Events have no timezone, so times are written as floating
+// local times; untimed events become all-day entries. Timed events are given a
+// default two-hour length since the schema has no end time.
+const ICS_DEFAULT_DURATION = 'PT2H';
+
+function icsEscape(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Folds content lines at 75 octets as the spec requires
+function icsFold(line) {
+  const out = [];
+  let chunk = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(chunk + ch) > (out.length ? 74 : 75)) { out.push(chunk); chunk = ''; }
+    chunk += ch;
+  }
+  out.push(chunk);
+  return out.join('\r\n ');
+}
+
+function icsStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// One VEVENT. `occurrence` pins a single date of a recurring event.
+function icsEvent(ev, occurrence) {
+  const date = (occurrence || ev.date).replace(/-/g, '');
+  const time = /^\d{1,2}:\d{2}/.test(ev.time || '')
+    ? ev.time.split(':').map(n => n.padStart(2, '0')).slice(0, 2).join('') + '00'
+    : null;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${ev.id}${occurrence ? '-' + date : ''}@krowdly`,
+    `DTSTAMP:${icsStamp(new Date())}`,
+  ];
+  if (time) {
+    lines.push(`DTSTART:${date}T${time}`, `DURATION:${ICS_DEFAULT_DURATION}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${date}`, `DTEND;VALUE=DATE:${dayStr(dayNum(occurrence || ev.date) + 1).replace(/-/g, '')}`);
+  }
+  if (ev.rrule && !occurrence) {
+    lines.push(`RRULE:${ev.rrule}`);
+    (ev.exdates || []).forEach(d => {
+      const ex = d.replace(/-/g, '');
+      lines.push(time ? `EXDATE:${ex}T${time}` : `EXDATE;VALUE=DATE:${ex}`);
+    });
+  }
+  lines.push(`SUMMARY:${icsEscape(ev.name)}`);
+  if (ev.description) lines.push(`DESCRIPTION:${icsEscape(ev.description)}`);
+  if (ev.location)    lines.push(`LOCATION:${icsEscape(ev.location)}`);
+  if (ev.lat || ev.lng) lines.push(`GEO:${Number(ev.lat)};${Number(ev.lng)}`);
+  if (ev.category)    lines.push(`CATEGORIES:${icsEscape(ev.category)}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+function icsCalendar(name, vevents) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Krowdly//Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsEscape(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...vevents.flat(),
+    'END:VCALENDAR',
+  ].map(icsFold).join('\r\n') + '\r\n';
+}
+
+function sendIcs(res, filename, body) {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'no-cache');
+  res.send(body);
+}
+
+// GET /api/events/:id/ics — download one event (whole series if recurring)
+app.get('/api/events/:id/ics', optionalAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { data: ev } = await sb.from('events').select('*').eq('id', req.params.id).maybeSingle();
+  if (!ev || !(await canViewEvent(sb, ev, req.user?.id, shareTokenOf(req))))
+    return res.status(404).json({ error: 'Event not found' });
+  if (!isValidDate(ev.date))
+    return res.status(400).json({ error: 'This event has no date yet' });
+
+  const slug = String(ev.name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'event';
+  sendIcs(res, `${slug}.ics`, icsCalendar(ev.name, [icsEvent(ev)]));
+});
+
+// POST /api/calendar/feed — create (or rotate) the caller's personal feed URL.
+// The token is only shown once; rotating it breaks the old subscription.
+app.post('/api/calendar/feed', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  const { error } = await sb
+    .from('calendar_feeds')
+    .upsert([{ user_id: req.user.id, token_hash: sha256(token), created_at: new Date().toISOString() }],
+      { onConflict: 'user_id' });
+  if (error) return res.status(500).json({ error: error.message });
+
+  const host = req.get('host');
+  const feedPath = `/api/calendar/${token}.ics`;
+  res.json({
+    url: `${req.get('x-forwarded-proto') || req.protocol}://${host}${feedPath}`,
+    webcal_url: `webcal://${host}${feedPath}`,
+  });
+});
+
+// DELETE /api/calendar/feed — turn the feed off
+app.delete('/api/calendar/feed', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { error } = await sb.from('calendar_feeds').delete().eq('user_id', req.user.id);
+  if (error) return res.status(500).json({ error: error.message });
+  res.json({ success: true });
+});
+
+// GET /api/calendar/:token.ics — the subscribable feed. Built on every fetch
+// from current RSVPs, so event edits and RSVP changes show up on next refresh.
+app.get('/api/calendar/:token.ics', async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { data: feed } = await sb
+    .from('calendar_feeds').select('user_id').eq('token_hash', sha256(req.params.token)).maybeSingle();
+  if (!feed) return res.status(404).json({ error: 'Calendar feed not found' });
+
+  const { data: rsvps, error } = await sb
+    .from('event_rsvps')
+    .select('occurrence_date, events(*)')
+    .eq('user_id', feed.user_id)
+    .in('status', ['going', 'interested']);
+  if (error) return res.status(500).json({ error: error.message });
+
+  // A series RSVP covers every occurrence, so single-date RSVPs to the same
+  // series would only duplicate it
+  const series = new Set((rsvps || []).filter(r => !r.occurrence_date).map(r => r.events?.id));
+  const vevents = (rsvps || [])
+    .filter(r => r.events && isValidDate(r.events.date))
+    .filter(r => !r.occurrence_date || !series.has(r.events.id))
+    .map(r => icsEvent(r.events, r.occurrence_date || undefined));
+
+  sendIcs(res, 'krowdly.ics', icsCalendar('Krowdly', vevents));
+});
+
+// ── MESSAGE HISTORY ───────────────────────────────────────────────────────────
+// Without paging params returns the whole history, oldest first (legacy).
+// With ?limit= (and ?cursor= from a previous page) returns
+// { items, next_cursor }: one page of older messages, still oldest first,
+// and a cursor for the page before it (null at the start of the chat).
+// Messages carry read_at once the recipient has opened the conversation.
+const MESSAGE_PAGE_MAX = 100;
+
+app.get('/api/messages/:userId/:otherId', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { userId, otherId } = req.params;
+  if (userId !== req.user.id)
+    return res.status(403).json({ error: 'You can only read your own messages' });
+  if (!UUID_RE.test(otherId)) return res.status(400).json({ error: 'Invalid user id' });
+
+  const { limit, cursor } = req.query;
+  if (limit === undefined && cursor === undefined) {
+    const { data, error } = await sb
+      .from('messages')
+      .select('*')
+      .or(
+        `and(from_user.eq.${userId},to_user.eq.${otherId}),` +
+        `and(from_user.eq.${otherId},to_user.eq.${userId})`
+      )
+      .order('created_at', { ascending: true });
+
+    if (error) return res.status(500).json({ error: error.message });
+    return res.json(data || []);
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || 30, 1), MESSAGE_PAGE_MAX);
+  let older = '';
+  if (cursor) {
+    const keys = decodeCursor(cursor);
+    if (!keys || !CURSOR_TIME_RE.test(keys.t) || !UUID_RE.test(keys.id))
+      return res.status(400).json({ error: 'Invalid cursor' });
+    older = `,or(created_at.lt."${keys.t}",and(created_at.eq."${keys.t}",id.lt.${keys.id}))`;
+  }
+
+  const { data, error } = await sb
+    .from('messages')
+    .select('*')
+    .or(
+      `and(from_user.eq.${userId},to_user.eq.${otherId}${older}),` +
+      `and(from_user.eq.${otherId},to_user.eq.${userId}${older})`
+    )
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(pageSize + 1);
+
+  if (error) return res.status(500).json({ error: error.message });
+  const rows = data || [];
+  const page = rows.slice(0, pageSize);
+  const last = page[page.length - 1];
+  res.json({
+    items: page.reverse(),
+    next_cursor: rows.length > pageSize ? encodeCursor({ t: last.created_at, id: last.id }) : null,
+  });
+});
+
+// ── CONVERSATIONS ─────────────────────────────────────────────────────────────
+
+// GET /api/conversations — the caller's inbox: one entry per partner with the
+// last message preview and how many of their messages are unread
+app.get('/api/conversations', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { data, error } = await sb.rpc('conversation_list', { p_user: req.user.id });
+  if (error) return res.status(500).json({ error: error.message });
+
+  const rows = data || [];
+  const [{ data: partners }, rel] = await Promise.all([
+    rows.length
+      ? sb.from('users').select('id, username, avatar, online, last_seen, visibility, hide_presence')
+        .in('id', rows.map(r => r.partner_id))
+      : { data: [] },
+    viewerRelations(sb, req.user.id),
+  ]);
+  const byId = Object.fromEntries((partners || []).map(u => [u.id, profileView(u, req.user.id, rel)]));
+
+  res.json(rows.map(r => ({
+    partner: byId[r.partner_id] || { id: r.partner_id },
+    last_message: {
+      id: r.last_message_id,
+      preview: r.last_message.length > 60 ? r.last_message.slice(0, 60) + '…' : r.last_message,
+      from_user: r.last_from,
+      created_at: r.last_at,
+      read_at: r.last_read_at,
+    },
+    unread_count: Number(r.unread_count) || 0,
+  })));
+});
+
+// PATCH /api/conversations/:otherId/read — mark everything the partner sent
+// the caller as read; the sender sees read_at on those messages
+app.patch('/api/conversations/:otherId/read', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const read_at = new Date().toISOString();
+  const { data, error } = await sb
+    .from('messages')
+    .update({ read_at })
+    .eq('from_user', req.params.otherId)
+    .eq('to_user', req.user.id)
+    .is('read_at', null)
+    .select('id');
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json({ success: true, read_at, marked: (data || []).length });
+});
+
+// ── GROUP CONVERSATIONS ───────────────────────────────────────────────────────
+// Named multi-person chats. Admins rename the group and manage members; anyone
+// can leave (the longest-standing member inherits admin if the last one goes).
+// Event chat rooms are groups tied to an event whose membership follows the
+// event's "going" list automatically (see sync_event_chat in the schema).
+// New messages notify every member except the sender and those who muted it.
+const GROUP_MAX_MEMBERS = 100;
+
+async function groupMembership(sb, conversationId, userId) {
+  const { data } = await sb.from('group_members')
+    .select('role, muted, last_read_at')
+    .eq('conversation_id', conversationId).eq('user_id', userId).maybeSingle();
+  return data || null;
+}
+
+// Loads the group and the caller's membership, or sends 404 / 403
+async function loadGroup(sb, req, res, { adminOnly = false } = {}) {
+  const { data: group } = await sb.from('group_conversations').select('*').eq('id', req.params.id).maybeSingle();
+  const membership = group && await groupMembership(sb, group.id, req.user.id);
+  if (!group || !membership) { res.status(404).json({ error: 'Conversation not found' }); return null; }
+  if (adminOnly && membership.role !== 'admin') {
+    res.status(403).json({ error: 'Only group admins can do that' });
+    return null;
+  }
+  return { group, membership };
+}
+
+// GET /api/groups — the caller's groups, latest activity first, with unread counts
+app.get('/api/groups', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { data, error } = await sb.rpc('group_list', { p_user: req.user.id });
+  if (error) return res.status(500).json({ error: error.message });
+
+  res.json((data || []).map(({ last_message_id, last_message, last_from, last_at, unread_count, ...g }) => ({
+    ...g,
+    last_message: last_message_id ? {
+      id: last_message_id,
+      user_id: last_from,
+      message: last_message.length > 60 ? last_message.slice(0, 60) + '…' : last_message,
+      created_at: last_at,
+    } : null,
+    unread_count: Number(unread_count) || 0,
+  })));
+});
+
+// POST /api/groups — { name, member_ids: [...] }; the creator becomes admin
+app.post('/api/groups', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { name, member_ids = [] } = req.body;
+  if (!name || !String(name).trim()) return res.status(400).json({ error: 'name required' });
+  if (!Array.isArray(member_ids) || !member_ids.every(id => UUID_RE.test(id)))
+    return res.status(400).json({ error: 'member_ids must be a list of user ids' });
+  const others = [...new Set(member_ids)].filter(id => id !== req.user.id);
+  if (others.length + 1 > GROUP_MAX_MEMBERS)
+    return res.status(400).json({ error: `Groups can have at most ${GROUP_MAX_MEMBERS} members` });
+  const blocked = await Promise.all(others.map(id => isBlockedBetween(sb, req.user.id, id)));
+  if (blocked.some(Boolean)) return res.status(403).json({ error: "You can't add a user you've blocked or who blocked you" });
+
+  const { data: group, error } = await sb.from('group_conversations')
+    .insert([{ name: String(name).trim(), created_by: req.user.id }]).select().single();
+  if (error) return res.status(500).json({ error: error.message });
+
+  const { error: memberErr } = await sb.from('group_members').insert([
+    { conversation_id: group.id, user_id: req.user.id, role: 'admin' },
+    ...others.map(user_id => ({ conversation_id: group.id, user_id })),
+  ]);
+  if (memberErr) return res.status(500).json({ error: memberErr.message });
+
+  const { data: creator } = await sb.from('users').select('username').eq('id', req.user.id).maybeSingle();
+  others.forEach(user_id => notify(sb, {
+    user_id, type: 'group_added',
+    title: `${creator?.username || 'Someone'} added you to "${group.name}" 👥`,
+    body: '', data: { conversation_id: group.id },
+  }));
+  res.json(group);
+});
+
+// GET /api/groups/:id — group details and members
+app.get('/api/groups/:id', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+  const ctx = await loadGroup(sb, req, res);
+  if (!ctx) return;
+
+  const { data: members } = await sb.from('group_members')
+    .select('user_id, role, joined_at, users(username, avatar)')
+    .eq('conversation_id', ctx.group.id).order('joined_at', { ascending: true });
+  res.json({
+    ...ctx.group, role: ctx.membership.role, muted: ctx.membership.muted,
+    members: (members || []).map(({ users, ...m }) => ({ ...m, username: users?.username, avatar: users?.avatar })),
+  });
 });
 
-// ── CREATE EVENT ──────────────────────────────────────────────────────────────
-app.post('/api/events', async (req, res) => {
+// PATCH /api/groups/:id — { name } rename (admins)
+app.patch('/api/groups/:id', requireAuth, async (req, res) => {
   const sb = getSupabase();
   if (!sb) return dbError(res);
+  const { name } = req.body;
+  if (!name || !String(name).trim()) return res.status(400).json({ error: 'name required' });
+  const ctx = await loadGroup(sb, req, res, { adminOnly: true });
+  if (!ctx) return;
 
-  const {
-    name, location, category, category_color, host, host_avatar, privacy,
-    lat, lng, description, date, time, max_attendees, tags, image, created_by,
-  } = req.body;
+  const { data, error } = await sb.from('group_conversations')
+    .update({ name: String(name).trim() }).eq('id', ctx.group.id).select().single();
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
 
-  if (!name || !location || !category || !host)
-    return res.status(400).json({ error: 'name, location, category and host are required' });
+// POST /api/groups/:id/members — { user_ids: [...] } add people (admins)
+app.post('/api/groups/:id/members', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+  const { user_ids = [] } = req.body;
+  if (!Array.isArray(user_ids) || !user_ids.length || !user_ids.every(id => UUID_RE.test(id)))
+    return res.status(400).json({ error: 'user_ids must be a non-empty list of user ids' });
+  const ctx = await loadGroup(sb, req, res, { adminOnly: true });
+  if (!ctx) return;
+  if (ctx.group.event_id)
+    return res.status(400).json({ error: 'Event chat members follow the RSVP list' });
+
+  const { count } = await sb.from('group_members')
+    .select('user_id', { count: 'exact', head: true }).eq('conversation_id', ctx.group.id);
+  const ids = [...new Set(user_ids)];
+  if ((count || 0) + ids.length > GROUP_MAX_MEMBERS)
+    return res.status(400).json({ error: `Groups can have at most ${GROUP_MAX_MEMBERS} members` });
+  const blocked = await Promise.all(ids.map(id => isBlockedBetween(sb, req.user.id, id)));
+  if (blocked.some(Boolean)) return res.status(403).json({ error: "You can't add a user you've blocked or who blocked you" });
+
+  const { data: added, error } = await sb.from('group_members')
+    .upsert(ids.map(user_id => ({ conversation_id: ctx.group.id, user_id })),
+      { onConflict: 'conversation_id,user_id', ignoreDuplicates: true })
+    .select('user_id');
+  if (error) return res.status(500).json({ error: error.message });
 
-  const { data, error } = await sb
-    .from('events')
-    .insert([{
-      name, location, category,
-      category_color: category_color || '#a855f7',
-      host,
-      host_avatar: host_avatar || null,
-      privacy: privacy || 'public',
-      lat: lat || 0, lng: lng || 0,
-      rsvps: [],
-      description: description || null,
-      date: date || null, time: time || null,
-      max_attendees: max_attendees ? parseInt(max_attendees) : null,
-      tags: tags || [],
-      image: image || null,
-      created_by: created_by || null,
-    }])
-    .select()
-    .single();
+  (added || []).forEach(({ user_id }) => notify(sb, {
+    user_id, type: 'group_added',
+    title: `You were added to "${ctx.group.name}" 👥`,
+    body: '', data: { conversation_id: ctx.group.id },
+  }));
+  res.json({ added: (added || []).map(r => r.user_id) });
+});
 
+// PATCH /api/groups/:id/members/:userId — { role: 'admin' | 'member' } (admins)
+app.patch('/api/groups/:id/members/:userId', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+  const { role } = req.body;
+  if (!['admin', 'member'].includes(role))
+    return res.status(400).json({ error: 'role must be "admin" or "member"' });
+  const ctx = await loadGroup(sb, req, res, { adminOnly: true });
+  if (!ctx) return;
+  if (role === 'member' && req.params.userId === req.user.id)
+    return res.status(400).json({ error: 'Leave the group or make someone else admin first' });
+
+  const { data, error } = await sb.from('group_members')
+    .update({ role }).eq('conversation_id', ctx.group.id).eq('user_id', req.params.userId)
+    .select('user_id, role').maybeSingle();
   if (error) return res.status(500).json({ error: error.message });
+  if (!data) return res.status(404).json({ error: 'Not a member of this group' });
   res.json(data);
 });
 
-// ── DELETE EVENT ──────────────────────────────────────────────────────────────
-app.delete('/api/events/:id', async (req, res) => {
+// DELETE /api/groups/:id/members/:userId — remove someone (admins) or leave (yourself)
+app.delete('/api/groups/:id/members/:userId', requireAuth, async (req, res) => {
   const sb = getSupabase();
   if (!sb) return dbError(res);
+  const leaving = req.params.userId === req.user.id;
+  const ctx = await loadGroup(sb, req, res, { adminOnly: !leaving });
+  if (!ctx) return;
 
-  const { id } = req.params;
-  const { userId } = req.body;
+  const { data: removed, error } = await sb.from('group_members')
+    .delete().eq('conversation_id', ctx.group.id).eq('user_id', req.params.userId)
+    .select('user_id').maybeSingle();
+  if (error) return res.status(500).json({ error: error.message });
+  if (!removed) return res.status(404).json({ error: 'Not a member of this group' });
+
+  // Never leave a group without an admin
+  const { data: admins } = await sb.from('group_members')
+    .select('user_id').eq('conversation_id', ctx.group.id).eq('role', 'admin').limit(1);
+  if (!admins || !admins.length) {
+    const { data: next } = await sb.from('group_members').select('user_id')
+      .eq('conversation_id', ctx.group.id).order('joined_at', { ascending: true }).limit(1).maybeSingle();
+    if (next) {
+      await sb.from('group_members').update({ role: 'admin' })
+        .eq('conversation_id', ctx.group.id).eq('user_id', next.user_id);
+    }
+  }
 
-  if (userId) {
-    const { data: ev } = await sb
-      .from('events').select('created_by').eq('id', id).maybeSingle();
-    if (ev && ev.created_by && ev.created_by !== userId)
-      return res.status(403).json({ error: 'You can only delete your own events' });
+  if (!leaving) {
+    notify(sb, {
+      user_id: req.params.userId, type: 'group_removed',
+      title: `You were removed from "${ctx.group.name}"`,
+      body: '', data: { conversation_id: ctx.group.id },
+    });
   }
+  res.json({ success: true });
+});
 
-  const { error } = await sb.from('events').delete().eq('id', id);
+// PATCH /api/groups/:id/mute — { muted: true | false } the caller's own setting
+app.patch('/api/groups/:id/mute', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+  const ctx = await loadGroup(sb, req, res);
+  if (!ctx) return;
+
+  const muted = req.body.muted !== false;
+  const { error } = await sb.from('group_members')
+    .update({ muted }).eq('conversation_id', ctx.group.id).eq('user_id', req.user.id);
   if (error) return res.status(500).json({ error: error.message });
-  res.json({ success: true });
+  res.json({ muted });
 });
 
-// ── RSVP ─────────────────────────────────────────────────────────────────────
-// Handles going / interested / cancellation.
-// Stores { userId, username, avatar, status } per attendee in the rsvps array.
-// Fires a notification to the event host on new RSVPs.
-app.post('/api/events/:id/rsvp', async (req, res) => {
+// PATCH /api/groups/:id/read — mark the group read up to now
+app.patch('/api/groups/:id/read', requireAuth, async (req, res) => {
   const sb = getSupabase();
   if (!sb) return dbError(res);
+  const ctx = await loadGroup(sb, req, res);
+  if (!ctx) return;
 
-  const { id } = req.params;
-  const { userId, username, status = 'going', avatar = '' } = req.body;
-  if (!userId) return res.status(400).json({ error: 'userId required' });
+  const last_read_at = new Date().toISOString();
+  const { error } = await sb.from('group_members')
+    .update({ last_read_at }).eq('conversation_id', ctx.group.id).eq('user_id', req.user.id);
+  if (error) return res.status(500).json({ error: error.message });
+  res.json({ success: true, last_read_at });
+});
 
-  const { data: ev, error: fetchErr } = await sb
-    .from('events').select('*').eq('id', id).single();
-  if (fetchErr || !ev) return res.status(404).json({ error: 'Event not found' });
+// GET /api/groups/:id/messages?limit=&cursor= — same paging contract as DM history
+app.get('/api/groups/:id/messages', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+  const ctx = await loadGroup(sb, req, res);
+  if (!ctx) return;
 
-  // Capacity guard — only "going" RSVPs count toward the cap
-  if (status === 'going' && ev.max_attendees) {
-    const goingCount = (ev.rsvps || []).filter(
-      r => r.status === 'going' && r.userId !== userId
-    ).length;
-    if (goingCount >= parseInt(ev.max_attendees))
-      return res.status(409).json({ error: 'This event is full' });
+  const pageSize = Math.min(Math.max(parseInt(req.query.limit) || 30, 1), MESSAGE_PAGE_MAX);
+  let query = sb.from('group_messages')
+    .select('*, users(username, avatar)')
+    .eq('conversation_id', ctx.group.id)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(pageSize + 1);
+  if (req.query.cursor) {
+    const keys = decodeCursor(req.query.cursor);
+    if (!keys || !CURSOR_TIME_RE.test(keys.t) || !UUID_RE.test(keys.id))
+      return res.status(400).json({ error: 'Invalid cursor' });
+    query = query.or(`created_at.lt."${keys.t}",and(created_at.eq."${keys.t}",id.lt.${keys.id})`);
   }
+  const { data, error } = await query;
+  if (error) return res.status(500).json({ error: error.message });
 
-  let rsvps = ev.rsvps || [];
-  const existingIdx = rsvps.findIndex(r => r.userId === userId);
-  let isNewRsvp = false;
+  const rows = data || [];
+  const page = rows.slice(0, pageSize);
+  const last = page[page.length - 1];
+  res.json({
+    items: page.reverse().map(({ users, ...m }) => ({ ...m, username: users?.username, avatar: users?.avatar })),
+    next_cursor: rows.length > pageSize ? encodeCursor({ t: last.created_at, id: last.id }) : null,
+  });
+});
 
-  if (existingIdx >= 0) {
-    if (rsvps[existingIdx].status === status) {
-      rsvps.splice(existingIdx, 1);                            // same → cancel
-    } else {
-      rsvps[existingIdx] = { userId, username, avatar, status }; // different → update
-    }
-  } else {
-    rsvps.push({ userId, username, avatar, status });
-    isNewRsvp = true;
-  }
+// POST /api/groups/:id/messages — { message }
+app.post('/api/groups/:id/messages', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+  const { message } = req.body;
+  if (!message) return res.status(400).json({ error: 'message required' });
+  if (message.length > 2000)
+    return res.status(400).json({ error: 'Message too long (max 2000 chars)' });
+  const ctx = await loadGroup(sb, req, res);
+  if (!ctx) return;
 
-  const { data, error } = await sb
-    .from('events').update({ rsvps }).eq('id', id).select().single();
+  const { data, error } = await sb.from('group_messages')
+    .insert([{ conversation_id: ctx.group.id, user_id: req.user.id, message }])
+    .select().single();
   if (error) return res.status(500).json({ error: error.message });
+  await sb.from('group_members').update({ last_read_at: data.created_at })
+    .eq('conversation_id', ctx.group.id).eq('user_id', req.user.id);
 
-  // Notify host on new RSVP only (not cancellations, not self-RSVP)
-  if (isNewRsvp && ev.created_by && ev.created_by !== userId) {
-    const emoji = status === 'going' ? '🎉' : '👀';
-    const verb  = status === 'going' ? 'is going to' : 'is interested in';
-    notify(sb, {
-      user_id: ev.created_by,
-      type: 'rsvp',
-      title: `${username} ${verb} "${ev.name}" ${emoji}`,
-      body: 'Check out your event.',
-      data: { event_id: id, user_id: userId, status },
-    });
-  }
+  const [{ data: sender }, { data: recipients }] = await Promise.all([
+    sb.from('users').select('username').eq('id', req.user.id).maybeSingle(),
+    sb.from('group_members').select('user_id')
+      .eq('conversation_id', ctx.group.id).eq('muted', false).neq('user_id', req.user.id),
+  ]);
+  (recipients || []).forEach(({ user_id }) => notify(sb, {
+    user_id, type: 'group_message',
+    title: `${sender?.username || 'Someone'} in "${ctx.group.name}" 💬`,
+    body: message.length > 60 ? message.slice(0, 60) + '…' : message,
+    data: { conversation_id: ctx.group.id, from_user: req.user.id },
+  }));
 
   res.json(data);
 });
 
-// ── MESSAGE HISTORY ───────────────────────────────────────────────────────────
-app.get('/api/messages/:userId/:otherId', async (req, res) => {
+// POST /api/events/:id/chat — host opens the event's chat room; everyone
+// currently going is added, and later RSVPs keep it in sync
+app.post('/api/events/:id/chat', requireAuth, async (req, res) => {
   const sb = getSupabase();
   if (!sb) return dbError(res);
 
-  const { userId, otherId } = req.params;
-  const { data, error } = await sb
-    .from('messages')
-    .select('*')
-    .or(
-      `and(from_user.eq.${userId},to_user.eq.${otherId}),` +
-      `and(from_user.eq.${otherId},to_user.eq.${userId})`
-    )
-    .order('created_at', { ascending: true });
+  const { data: ev } = await sb.from('events').select('id, name, created_by').eq('id', req.params.id).maybeSingle();
+  if (!ev) return res.status(404).json({ error: 'Event not found' });
+  if (ev.created_by !== req.user.id) return res.status(403).json({ error: 'Only the host can open the event chat' });
 
+  const { data: existing } = await sb.from('group_conversations').select('*').eq('event_id', ev.id).maybeSingle();
+  if (existing) return res.json(existing);
+
+  const { data: room, error } = await sb.from('group_conversations')
+    .insert([{ name: ev.name, created_by: req.user.id, event_id: ev.id }]).select().single();
   if (error) return res.status(500).json({ error: error.message });
-  res.json(data || []);
+
+  const { data: going } = await sb.from('event_rsvps').select('user_id').eq('event_id', ev.id).eq('status', 'going');
+  const attendees = [...new Set((going || []).map(r => r.user_id))].filter(id => id !== req.user.id);
+  const { error: memberErr } = await sb.from('group_members').upsert([
+    { conversation_id: room.id, user_id: req.user.id, role: 'admin' },
+    ...attendees.map(user_id => ({ conversation_id: room.id, user_id })),
+  ], { onConflict: 'conversation_id,user_id', ignoreDuplicates: true });
+  if (memberErr) return res.status(500).json({ error: memberErr.message });
+
+  attendees.forEach(user_id => notify(sb, {
+    user_id, type: 'group_added',
+    title: `The chat for "${ev.name}" is open 🎉`,
+    body: 'Say hi to everyone who is going.',
+    data: { conversation_id: room.id, event_id: ev.id },
+  }));
+  res.json(room);
+});
+
+// GET /api/events/:id/chat — the event's chat room, for its members
+app.get('/api/events/:id/chat', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { data: room } = await sb.from('group_conversations').select('*').eq('event_id', req.params.id).maybeSingle();
+  if (!room || !(await groupMembership(sb, room.id, req.user.id)))
+    return res.status(404).json({ error: 'No chat room for this event' });
+  res.json(room);
 });
 
 // ── SEND MESSAGE ──────────────────────────────────────────────────────────────
-app.post('/api/messages', async (req, res) => {
+app.post('/api/messages', requireAuth, async (req, res) => {
   const sb = getSupabase();
   if (!sb) return dbError(res);
 
-  const { from_user, to_user, message } = req.body;
-  if (!from_user || !to_user || !message)
-    return res.status(400).json({ error: 'from_user, to_user and message are required' });
+  const from_user = req.user.id;
+  const { to_user, message } = req.body;
+  if (!to_user || !message)
+    return res.status(400).json({ error: 'to_user and message are required' });
   if (message.length > 2000)
     return res.status(400).json({ error: 'Message too long (max 2000 chars)' });
+  if (await isBlockedBetween(sb, from_user, to_user))
+    return res.status(403).json({ error: "You can't message this user" });
 
   const { data, error } = await sb
     .from('messages')
@@ -573,37 +3902,66 @@ app.post('/api/messages', async (req, res) => {
     body: message.length > 60 ? message.slice(0, 60) + '…' : message,
     data: { from_user },
   });
+  publish(sb, `user:${to_user}`, 'message', data);
 
   res.json(data);
 });
 
 // ── FRIENDS ───────────────────────────────────────────────────────────────────
 
-// GET /api/friends/:userId — all friendships (accepted + pending) for a user
-app.get('/api/friends/:userId', async (req, res) => {
+// GET /api/friends/:userId — all friendships (accepted + pending) for the
+// caller; other users see accepted ones only, and only with the full profile
+// (see Profile privacy)
+// Paged with ?limit=&cursor= (newest first), columns chosen with ?fields=
+const FRIEND_FIELDS = ['id', 'sender_id', 'receiver_id', 'status', 'created_at'];
+
+app.get('/api/friends/:userId', optionalAuth, async (req, res) => {
   const sb = getSupabase();
   if (!sb) return dbError(res);
 
   const { userId } = req.params;
-  const { data, error } = await sb
+  if (!UUID_RE.test(userId)) return res.status(400).json({ error: 'Invalid user id' });
+  const paging = parsePaging(req.query);
+  if (paging.error) return res.status(400).json({ error: paging.error });
+  const fields = selectFields(req.query.fields, FRIEND_FIELDS, [], '*');
+  if (fields.error) return res.status(400).json({ error: fields.error });
+
+  const own = req.user?.id === userId;
+  if (!own) {
+    const [{ data: user }, rel] = await Promise.all([
+      sb.from('users').select('id, visibility').eq('id', userId).maybeSingle(),
+      viewerRelations(sb, req.user?.id),
+    ]);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!canViewProfile(user, req.user?.id, rel))
+      return res.status(403).json({ error: 'This account is private' });
+  }
+
+  let query = sb
     .from('friends')
-    .select('*')
+    .select(fields.select)
     .or(`sender_id.eq.${userId},receiver_id.eq.${userId}`);
+  if (!own) query = query.eq('status', 'accepted');
+  if (paging.paged) query = keysetQuery(query, paging);
 
+  const { data, error } = await query;
   if (error) return res.status(500).json({ error: error.message });
-  res.json(data || []);
+  res.json(paging.paged ? pageOf(data || [], paging) : (data || []));
 });
 
 // POST /api/friends — send a friend request
-app.post('/api/friends', async (req, res) => {
+app.post('/api/friends', requireAuth, async (req, res) => {
   const sb = getSupabase();
   if (!sb) return dbError(res);
 
-  const { sender_id, receiver_id } = req.body;
-  if (!sender_id || !receiver_id)
-    return res.status(400).json({ error: 'sender_id and receiver_id required' });
+  const sender_id = req.user.id;
+  const { receiver_id } = req.body;
+  if (!receiver_id)
+    return res.status(400).json({ error: 'receiver_id required' });
   if (sender_id === receiver_id)
     return res.status(400).json({ error: 'Cannot send a friend request to yourself' });
+  if (await isBlockedBetween(sb, sender_id, receiver_id))
+    return res.status(403).json({ error: "You can't send a friend request to this user" });
 
   // Prevent duplicates in either direction
   const { data: existing } = await sb
@@ -643,12 +4001,12 @@ app.post('/api/friends', async (req, res) => {
 });
 
 // PATCH /api/friends/:id — accept or reject a request
-app.patch('/api/friends/:id', async (req, res) => {
+app.patch('/api/friends/:id', requireAuth, async (req, res) => {
   const sb = getSupabase();
   if (!sb) return dbError(res);
 
   const { id } = req.params;
-  const { status, userId } = req.body;
+  const { status } = req.body;
 
   if (!status || !['accepted', 'rejected'].includes(status))
     return res.status(400).json({ error: 'status must be "accepted" or "rejected"' });
@@ -656,7 +4014,7 @@ app.patch('/api/friends/:id', async (req, res) => {
   const { data: row } = await sb
     .from('friends').select('*').eq('id', id).maybeSingle();
   if (!row) return res.status(404).json({ error: 'Friend request not found' });
-  if (userId && row.receiver_id !== userId)
+  if (row.receiver_id !== req.user.id)
     return res.status(403).json({ error: 'Only the receiver can accept or reject' });
 
   const { data, error } = await sb
@@ -680,19 +4038,16 @@ app.patch('/api/friends/:id', async (req, res) => {
 });
 
 // DELETE /api/friends/:id — unfriend or cancel a pending request
-app.delete('/api/friends/:id', async (req, res) => {
+app.delete('/api/friends/:id', requireAuth, async (req, res) => {
   const sb = getSupabase();
   if (!sb) return dbError(res);
 
   const { id } = req.params;
-  const { userId } = req.body;
-
-  if (userId) {
-    const { data: row } = await sb
-      .from('friends').select('sender_id, receiver_id').eq('id', id).maybeSingle();
-    if (row && row.sender_id !== userId && row.receiver_id !== userId)
-      return res.status(403).json({ error: 'Not your friendship to remove' });
-  }
+  const { data: row } = await sb
+    .from('friends').select('sender_id, receiver_id').eq('id', id).maybeSingle();
+  if (!row) return res.status(404).json({ error: 'Friendship not found' });
+  if (row.sender_id !== req.user.id && row.receiver_id !== req.user.id)
+    return res.status(403).json({ error: 'Not your friendship to remove' });
 
   const { error } = await sb.from('friends').delete().eq('id', id);
   if (error) return res.status(500).json({ error: error.message });
@@ -700,29 +4055,49 @@ app.delete('/api/friends/:id', async (req, res) => {
 });
 
 // ── COMMENTS ──────────────────────────────────────────────────────────────────
-app.get('/api/events/:id/comments', async (req, res) => {
+// GET /api/events/:id/comments — oldest first; paged with ?limit=&cursor=,
+// columns chosen with ?fields=
+const COMMENT_FIELDS = ['id', 'event_id', 'user_id', 'username', 'avatar', 'body', 'created_at'];
+
+app.get('/api/events/:id/comments', optionalAuth, async (req, res) => {
   const sb = getSupabase();
   if (!sb) return dbError(res);
 
-  const { data, error } = await sb
+  const paging = parsePaging(req.query);
+  if (paging.error) return res.status(400).json({ error: paging.error });
+  const fields = selectFields(req.query.fields, COMMENT_FIELDS, [], '*');
+  if (fields.error) return res.status(400).json({ error: fields.error });
+  if (!(await loadVisibleEvent(sb, req, res, 'name'))) return;
+
+  let query = sb
     .from('comments')
-    .select('*')
+    .select(fields.select)
     .eq('event_id', req.params.id)
-    .order('created_at', { ascending: true });
+    .eq('hidden', false);
+  query = paging.paged ? keysetQuery(query, paging, { ascending: true }) : query.order('created_at', { ascending: true });
 
+  const { data, error } = await query;
   if (error) return res.status(500).json({ error: error.message });
-  res.json(data || []);
+  res.json(paging.paged ? pageOf(data || [], paging) : (data || []));
 });
 
-app.post('/api/events/:id/comments', async (req, res) => {
+app.post('/api/events/:id/comments', requireAuth, async (req, res) => {
   const sb = getSupabase();
   if (!sb) return dbError(res);
 
-  const { user_id, username, avatar, body } = req.body;
-  if (!user_id || !body)
-    return res.status(400).json({ error: 'user_id and body required' });
+  const user_id = req.user.id;
+  const { body } = req.body;
+  if (!body)
+    return res.status(400).json({ error: 'body required' });
   if (body.length > 1000)
     return res.status(400).json({ error: 'Comment too long (max 1000 chars)' });
+  const ev = await loadVisibleEvent(sb, req, res, 'name');
+  if (!ev) return;
+
+  const { data: me } = await sb
+    .from('users').select('username, avatar').eq('id', user_id).maybeSingle();
+  const username = me?.username || 'Someone';
+  const avatar   = me?.avatar || null;
 
   const { data, error } = await sb
     .from('comments')
@@ -732,9 +4107,7 @@ app.post('/api/events/:id/comments', async (req, res) => {
   if (error) return res.status(500).json({ error: error.message });
 
   // Notify event host
-  const { data: ev } = await sb
-    .from('events').select('created_by, name').eq('id', req.params.id).maybeSingle();
-  if (ev && ev.created_by && ev.created_by !== user_id) {
+  if (ev.created_by && ev.created_by !== user_id) {
     notify(sb, {
       user_id: ev.created_by,
       type: 'comment',
@@ -747,17 +4120,15 @@ app.post('/api/events/:id/comments', async (req, res) => {
   res.json(data);
 });
 
-app.delete('/api/comments/:id', async (req, res) => {
+app.delete('/api/comments/:id', requireAuth, async (req, res) => {
   const sb = getSupabase();
   if (!sb) return dbError(res);
 
-  const { userId } = req.body;
-  if (userId) {
-    const { data: comment } = await sb
-      .from('comments').select('user_id').eq('id', req.params.id).maybeSingle();
-    if (comment && comment.user_id !== userId)
-      return res.status(403).json({ error: 'Not your comment' });
-  }
+  const { data: comment } = await sb
+    .from('comments').select('user_id').eq('id', req.params.id).maybeSingle();
+  if (!comment) return res.status(404).json({ error: 'Comment not found' });
+  if (comment.user_id !== req.user.id)
+    return res.status(403).json({ error: 'Not your comment' });
 
   const { error } = await sb.from('comments').delete().eq('id', req.params.id);
   if (error) return res.status(500).json({ error: error.message });
@@ -765,14 +4136,27 @@ app.delete('/api/comments/:id', async (req, res) => {
 });
 
 // ── FOLLOWS ───────────────────────────────────────────────────────────────────
-app.get('/api/users/:id/follows', async (req, res) => {
+// Following a private account sends a follow request the owner approves or
+// declines; until then the follow is pending and grants nothing.
+
+// GET /api/users/:id/follows — accepted follows both ways; needs the full
+// profile (see Profile privacy)
+app.get('/api/users/:id/follows', optionalAuth, async (req, res) => {
   const sb = getSupabase();
   if (!sb) return dbError(res);
 
   const { id } = req.params;
+  const [{ data: user }, rel] = await Promise.all([
+    sb.from('users').select('id, visibility').eq('id', id).maybeSingle(),
+    viewerRelations(sb, req.user?.id),
+  ]);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  if (!canViewProfile(user, req.user?.id, rel))
+    return res.status(403).json({ error: 'This account is private' });
+
   const [{ data: following }, { data: followers }] = await Promise.all([
-    sb.from('follows').select('following_id').eq('follower_id', id),
-    sb.from('follows').select('follower_id').eq('following_id', id),
+    sb.from('follows').select('following_id').eq('follower_id', id).eq('status', 'accepted'),
+    sb.from('follows').select('follower_id').eq('following_id', id).eq('status', 'accepted'),
   ]);
 
   res.json({
@@ -781,15 +4165,20 @@ app.get('/api/users/:id/follows', async (req, res) => {
   });
 });
 
-app.post('/api/follows', async (req, res) => {
+// POST /api/follows — { following_id } toggle: follows, unfollows, or for a
+// private account sends / withdraws a follow request
+app.post('/api/follows', requireAuth, async (req, res) => {
   const sb = getSupabase();
   if (!sb) return dbError(res);
 
-  const { follower_id, following_id } = req.body;
-  if (!follower_id || !following_id)
-    return res.status(400).json({ error: 'follower_id and following_id required' });
+  const follower_id = req.user.id;
+  const { following_id } = req.body;
+  if (!following_id)
+    return res.status(400).json({ error: 'following_id required' });
   if (follower_id === following_id)
     return res.status(400).json({ error: 'Cannot follow yourself' });
+  if (await isBlockedBetween(sb, follower_id, following_id))
+    return res.status(403).json({ error: "You can't follow this user" });
 
   const { data: existing } = await sb
     .from('follows')
@@ -800,47 +4189,259 @@ app.post('/api/follows', async (req, res) => {
 
   if (existing) {
     await sb.from('follows').delete().eq('id', existing.id);
-    return res.json({ following: false });
+    return res.json({ following: false, requested: false });
   }
 
-  await sb.from('follows').insert([{ follower_id, following_id }]);
+  const { data: target } = await sb.from('users').select('id, visibility').eq('id', following_id).maybeSingle();
+  if (!target) return res.status(404).json({ error: 'User not found' });
+  const status = target.visibility === 'private' ? 'pending' : 'accepted';
+
+  const { error } = await sb.from('follows').insert([{ follower_id, following_id, status }]);
+  if (error) return res.status(500).json({ error: error.message });
 
   const { data: followerUser } = await sb
     .from('users').select('username').eq('id', follower_id).maybeSingle();
+  if (status === 'pending') {
+    notify(sb, {
+      user_id: following_id,
+      type: 'follow_request',
+      title: `${followerUser?.username || 'Someone'} wants to follow you`,
+      body: 'Approve or decline the request.',
+      data: { follower_id },
+    });
+    return res.json({ following: false, requested: true });
+  }
+
   notify(sb, {
     user_id: following_id,
     type: 'follow',
     title: `${followerUser?.username || 'Someone'} followed you! ➕`,
     body: 'Check out their profile.',
     data: { follower_id },
+    group: {
+      key: 'followers', actor_id: follower_id,
+      actor_name: followerUser?.username, action_many: 'followed you! ➕',
+    },
+  });
+
+  res.json({ following: true, requested: false });
+});
+
+// GET /api/follows/requests — pending requests to follow the caller
+app.get('/api/follows/requests', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { data, error } = await sb
+    .from('follows')
+    .select('follower_id, created_at')
+    .eq('following_id', req.user.id)
+    .eq('status', 'pending')
+    .order('created_at', { ascending: false });
+  if (error) return res.status(500).json({ error: error.message });
+
+  const rows = data || [];
+  const { data: users } = rows.length
+    ? await sb.from('users').select('id, username, avatar').in('id', rows.map(r => r.follower_id))
+    : { data: [] };
+  const byId = Object.fromEntries((users || []).map(u => [u.id, u]));
+
+  res.json(rows.map(r => ({
+    ...r,
+    username: byId[r.follower_id]?.username,
+    avatar: byId[r.follower_id]?.avatar,
+  })));
+});
+
+// POST /api/follows/requests/:followerId/approve
+app.post('/api/follows/requests/:followerId/approve', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { followerId } = req.params;
+  const { data, error } = await sb
+    .from('follows')
+    .update({ status: 'accepted' })
+    .eq('follower_id', followerId)
+    .eq('following_id', req.user.id)
+    .eq('status', 'pending')
+    .select('id');
+  if (error) return res.status(500).json({ error: error.message });
+  if (!data || !data.length) return res.status(404).json({ error: 'Follow request not found' });
+
+  const { data: me } = await sb.from('users').select('username').eq('id', req.user.id).maybeSingle();
+  notify(sb, {
+    user_id: followerId,
+    type: 'follow_accepted',
+    title: `${me?.username || 'Someone'} accepted your follow request`,
+    body: 'You can now see their profile.',
+    data: { user_id: req.user.id },
   });
 
-  res.json({ following: true });
+  res.json({ approved: true });
+});
+
+// DELETE /api/follows/requests/:followerId — decline a request
+app.delete('/api/follows/requests/:followerId', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { data, error } = await sb
+    .from('follows')
+    .delete()
+    .eq('follower_id', req.params.followerId)
+    .eq('following_id', req.user.id)
+    .eq('status', 'pending')
+    .select('id');
+  if (error) return res.status(500).json({ error: error.message });
+  if (!data || !data.length) return res.status(404).json({ error: 'Follow request not found' });
+  res.json({ declined: true });
+});
+
+// ── BLOCKS ────────────────────────────────────────────────────────────────────
+// A block works both ways: neither side can message, friend or follow the
+// other, and @mentions between them don't notify. Blocking also drops any
+// friendship and follows between the two, and hides the blocker from the
+// blocked user's people search.
+
+async function isBlockedBetween(sb, a, b) {
+  if (!UUID_RE.test(a) || !UUID_RE.test(b)) return false; // ids go into an or() filter below
+  const { data } = await sb.from('user_blocks').select('blocker_id')
+    .or(`and(blocker_id.eq.${a},blocked_id.eq.${b}),and(blocker_id.eq.${b},blocked_id.eq.${a})`)
+    .limit(1);
+  return !!(data && data.length);
+}
+
+// Ids of everyone who has blocked userId
+async function blockerIdsOf(sb, userId) {
+  const { data } = await sb.from('user_blocks').select('blocker_id').eq('blocked_id', userId);
+  return (data || []).map(r => r.blocker_id);
+}
+
+// GET /api/blocks — users the caller has blocked
+app.get('/api/blocks', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { data, error } = await sb
+    .from('user_blocks')
+    .select('blocked_id, created_at, users!user_blocks_blocked_id_fkey(username, avatar)')
+    .eq('blocker_id', req.user.id)
+    .order('created_at', { ascending: false });
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json((data || []).map(({ users, ...b }) => ({ ...b, username: users?.username, avatar: users?.avatar })));
+});
+
+// POST /api/blocks — { user_id } block someone
+app.post('/api/blocks', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const blocker_id = req.user.id;
+  const { user_id: blocked_id } = req.body;
+  if (!blocked_id || !UUID_RE.test(blocked_id)) return res.status(400).json({ error: 'user_id required' });
+  if (blocked_id === blocker_id) return res.status(400).json({ error: 'Cannot block yourself' });
+
+  const { data: target } = await sb.from('users').select('id').eq('id', blocked_id).maybeSingle();
+  if (!target) return res.status(404).json({ error: 'User not found' });
+
+  const { error } = await sb
+    .from('user_blocks')
+    .upsert([{ blocker_id, blocked_id }], { onConflict: 'blocker_id,blocked_id', ignoreDuplicates: true });
+  if (error) return res.status(500).json({ error: error.message });
+
+  const pair = (x, y) =>
+    `and(${x}.eq.${blocker_id},${y}.eq.${blocked_id}),and(${x}.eq.${blocked_id},${y}.eq.${blocker_id})`;
+  await Promise.all([
+    sb.from('friends').delete().or(pair('sender_id', 'receiver_id')),
+    sb.from('follows').delete().or(pair('follower_id', 'following_id')),
+  ]);
+
+  res.json({ blocked: true });
+});
+
+// DELETE /api/blocks/:userId — unblock (friendships and follows are not restored)
+app.delete('/api/blocks/:userId', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { error } = await sb
+    .from('user_blocks')
+    .delete()
+    .eq('blocker_id', req.user.id)
+    .eq('blocked_id', req.params.userId);
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json({ blocked: false });
 });
 
 // ── NOTIFICATIONS ─────────────────────────────────────────────────────────────
 
-// GET /api/notifications/:userId — fetch inbox (40 most recent)
-app.get('/api/notifications/:userId', async (req, res) => {
+// Adds `actors` (first few of actor_ids, with username/avatar) to grouped rows
+const NOTIFICATION_ACTOR_PREVIEW = 3;
+
+async function withActors(sb, rows) {
+  const ids = [...new Set(rows.flatMap(n => (n.actor_ids || []).slice(0, NOTIFICATION_ACTOR_PREVIEW)))];
+  if (!ids.length) return rows;
+  const { data: users } = await sb.from('users').select('id, username, avatar').in('id', ids);
+  const byId = new Map((users || []).map(u => [u.id, u]));
+  return rows.map(n => n.group_key ? {
+    ...n,
+    actors: (n.actor_ids || []).slice(0, NOTIFICATION_ACTOR_PREVIEW).map(id => byId.get(id)).filter(Boolean),
+  } : n);
+}
+
+// GET /api/notifications/:userId — fetch inbox (40 most recently active)
+app.get('/api/notifications/:userId', requireAuth, async (req, res) => {
   const sb = getSupabase();
   if (!sb) return dbError(res);
+  if (req.params.userId !== req.user.id)
+    return res.status(403).json({ error: 'You can only read your own notifications' });
 
   const { data, error } = await sb
     .from('notifications')
     .select('*')
     .eq('user_id', req.params.userId)
-    .order('created_at', { ascending: false })
+    .eq('digest', false)
+    .order('updated_at', { ascending: false })
     .limit(40);
 
   if (error) return res.status(500).json({ error: error.message });
-  res.json(data || []);
+  res.json(await withActors(sb, data || []));
+});
+
+// GET /api/notifications/:userId/digest — unread digest-only notifications, by type
+app.get('/api/notifications/:userId/digest', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+  if (req.params.userId !== req.user.id)
+    return res.status(403).json({ error: 'You can only read your own notifications' });
+
+  const { data, error } = await sb
+    .from('notifications')
+    .select('*')
+    .eq('user_id', req.user.id)
+    .eq('digest', true)
+    .eq('read', false)
+    .order('updated_at', { ascending: false })
+    .limit(200);
+  if (error) return res.status(500).json({ error: error.message });
+
+  const byType = {};
+  (await withActors(sb, data || [])).forEach(n => { (byType[n.type] = byType[n.type] || []).push(n); });
+  res.json(Object.entries(byType).map(([type, items]) => ({
+    type, count: items.reduce((n, i) => n + (i.actor_count || 1), 0), items,
+  })));
 });
 
 // PATCH /api/notifications/:userId/read — mark ALL notifications read for a user
 // Called by the "Mark all read" button in the panel
-app.patch('/api/notifications/:userId/read', async (req, res) => {
+app.patch('/api/notifications/:userId/read', requireAuth, async (req, res) => {
   const sb = getSupabase();
   if (!sb) return dbError(res);
+  if (req.params.userId !== req.user.id)
+    return res.status(403).json({ error: 'You can only update your own notifications' });
 
   const { error } = await sb
     .from('notifications')
@@ -853,7 +4454,7 @@ app.patch('/api/notifications/:userId/read', async (req, res) => {
 
 // PATCH /api/notifications/:id — mark a single notification read/unread
 // Called when a user clicks a notification item in the panel
-app.patch('/api/notifications/:id', async (req, res) => {
+app.patch('/api/notifications/:id', requireAuth, async (req, res) => {
   const sb = getSupabase();
   if (!sb) return dbError(res);
 
@@ -862,105 +4463,802 @@ app.patch('/api/notifications/:id', async (req, res) => {
     .from('notifications')
     .update({ read })
     .eq('id', req.params.id)
+    .eq('user_id', req.user.id)
+    .select()
+    .maybeSingle();
+
+  if (error) return res.status(500).json({ error: error.message });
+  if (!data)  return res.status(404).json({ error: 'Notification not found' });
+  res.json(data);
+});
+
+// POST /api/notifications — create a notification manually (event invites, etc.)
+// Only CLIENT_NOTIFICATION_TYPES can be sent this way, so account and
+// moderation notices can't be forged, and never between blocked users.
+const CLIENT_NOTIFICATION_TYPES = ['event', 'event_invite'];
+
+app.post('/api/notifications', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+
+  const { user_id, type = 'event', title, body, data } = req.body;
+  if (!user_id || !title)
+    return res.status(400).json({ error: 'user_id and title required' });
+  if (!UUID_RE.test(user_id)) return res.status(400).json({ error: 'Invalid user_id' });
+  if (!CLIENT_NOTIFICATION_TYPES.includes(type))
+    return res.status(400).json({ error: `type must be one of: ${CLIENT_NOTIFICATION_TYPES.join(', ')}` });
+  if (await isBlockedBetween(sb, req.user.id, user_id))
+    return res.status(403).json({ error: "You can't notify this user" });
+
+  const payload = {
+    user_id,
+    type,
+    title,
+    body: body || '',
+    data: { ...(data || {}), sender_id: req.user.id },
+  };
+  const delivery = await notificationDelivery(sb, payload);
+  if (delivery === 'off') return res.json({ delivered: false });
+
+  const { data: notif, error } = await sb
+    .from('notifications')
+    .insert([{ ...payload, digest: delivery === 'digest' }])
     .select()
     .single();
 
   if (error) return res.status(500).json({ error: error.message });
-  res.json(data);
+  if (delivery === 'live') publish(sb, `user:${notif.user_id}`, 'notification', notif);
+  res.json(notif);
+});
+
+// ── NOTIFICATION PREFERENCES ──────────────────────────────────────────────────
+// Per-type 'on' | 'off' | 'digest', muted communities and threads, and quiet
+// hours. Muted and 'off' notifications are never stored; 'digest' ones are
+// stored out of the inbox; during quiet hours they land in the inbox but are
+// not pushed to the live stream. Account and moderation notices ignore all
+// of this, so only NOTIFICATION_TYPES can be configured.
+const NOTIFICATION_TYPES = [
+  'rsvp', 'rsvp_promoted', 'event_cancelled', 'event', 'event_invite', 'event_cohost',
+  'message', 'group_message', 'group_added',
+  'reply', 'mention', 'like', 'comment', 'reply_pinned',
+  'follow', 'follow_request', 'follow_accepted', 'friend_request', 'friend_accepted',
+  'community_join_request', 'community_join_approved', 'community_join_declined', 'community_role',
+];
+const NOTIFICATION_MODES = ['on', 'off', 'digest'];
+// The old single-value users.notif_pref, still sent by settings screens, sets
+// default_mode. Keep in step with the migration in the schema.
+const LEGACY_NOTIF_PREFS = { all: 'on', on: 'on', digest: 'digest', off: 'off', none: 'off' };
+const NOTIFICATION_MAX_MUTES = 500;
+const TIME_OF_DAY_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isValidTimezone(tz) {
+  try { new Intl.DateTimeFormat('en-US', { timeZone: tz }); return true; } catch (_) { return false; }
+}
+
+// Current wall-clock time in a timezone as 'HH:MM'
+function localTimeOfDay(tz, at = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: tz, hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+  }).formatToParts(at);
+  const get = type => parts.find(p => p.type === type).value;
+  return `${get('hour')}:${get('minute')}`;
+}
+
+function inQuietHours(prefs, at = new Date()) {
+  if (!prefs.quiet_start || !prefs.quiet_end || prefs.quiet_start === prefs.quiet_end) return false;
+  const now = localTimeOfDay(prefs.timezone || 'UTC', at);
+  return prefs.quiet_start < prefs.quiet_end
+    ? now >= prefs.quiet_start && now < prefs.quiet_end
+    : now >= prefs.quiet_start || now < prefs.quiet_end;  // wraps midnight
+}
+
+function defaultNotificationPrefs(userId) {
+  return {
+    user_id: userId, types: {}, default_mode: 'on', muted_communities: [], muted_threads: [],
+    quiet_start: null, quiet_end: null, timezone: 'UTC',
+  };
+}
+
+// How a notification reaches its recipient: 'off' | 'digest' | 'quiet' | 'live'
+async function notificationDelivery(sb, payload) {
+  if (!NOTIFICATION_TYPES.includes(payload.type)) return 'live';
+  const { data: prefs } = await sb.from('notification_preferences')
+    .select('*').eq('user_id', payload.user_id).maybeSingle();
+  if (!prefs) return 'live';
+
+  const mode = prefs.types?.[payload.type] || prefs.default_mode;
+  if (mode === 'off') return 'off';
+
+  const { thread_id, community_id } = payload.data || {};
+  if (thread_id && prefs.muted_threads.includes(thread_id)) return 'off';
+  let communityId = community_id;
+  if (!communityId && thread_id && prefs.muted_communities.length) {
+    const { data: thread } = await sb.from('threads').select('community_id').eq('id', thread_id).maybeSingle();
+    communityId = thread?.community_id;
+  }
+  if (communityId && prefs.muted_communities.includes(communityId)) return 'off';
+
+  if (mode === 'digest') return 'digest';
+  return inQuietHours(prefs) ? 'quiet' : 'live';
+}
+
+// GET /api/users/:id/notification-preferences
+app.get('/api/users/:id/notification-preferences', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+  if (req.params.id !== req.user.id)
+    return res.status(403).json({ error: 'You can only read your own preferences' });
+
+  const { data, error } = await sb.from('notification_preferences')
+    .select('*').eq('user_id', req.user.id).maybeSingle();
+  if (error) return res.status(500).json({ error: error.message });
+  res.json({ ...(data || defaultNotificationPrefs(req.user.id)), available_types: NOTIFICATION_TYPES });
+});
+
+// PATCH /api/users/:id/notification-preferences
+// { types: { like: 'digest', ... }, default_mode: 'on', muted_communities: [...],
+//   muted_threads: [...], quiet_hours: { start: '22:00', end: '07:00' } | null,
+//   timezone: 'Europe/Berlin' }
+// types are merged into the saved ones; the other fields replace them.
+app.patch('/api/users/:id/notification-preferences', requireAuth, async (req, res) => {
+  const sb = getSupabase();
+  if (!sb) return dbError(res);
+  if (req.params.id !== req.user.id)
+    return res.status(403).json({ error: 'You can only update your own preferences' });
+
+  const { types, default_mode, muted_communities, muted_threads, quiet_hours, timezone } = req.body;
+  const { data: current } = await sb.from('notification_preferences')
+    .select('*').eq('user_id', req.user.id).maybeSingle();
+  const prefs = { ...(current || defaultNotificationPrefs(req.user.id)) };
+
+  if (types !== undefined) {
+    if (!types || typeof types !== 'object' || Array.isArray(types))
+      return res.status(400).json({ error: 'types must be an object of type → mode' });
+    for (const [type, mode] of Object.entries(types)) {
+      if (!NOTIFICATION_TYPES.includes(type))
+        return res.status(400).json({ error: `Unknown notification type "${type}"` });
+      if (!NOTIFICATION_MODES.includes(mode))
+        return res.status(400).json({ error: `Mode for "${type}" must be one of: ${NOTIFICATION_MODES.join(', ')}` });
+    }
+    prefs.types = { ...prefs.types, ...types };
+  }
+  if (default_mode !== undefined) {
+    if (!NOTIFICATION_MODES.includes(default_mode))
+      return res.status(400).json({ error: `default_mode must be one of: ${NOTIFICATION_MODES.join(', ')}` });
+    prefs.default_mode = default_mode;
+  }
+  for (const [field, value] of [['muted_communities', muted_communities], ['muted_threads', muted_threads]]) {
+    if (value === undefined) continue;
+    if (!Array.isArray(value) || !value.every(id => UUID_RE.test(id)))
+      return res.status(400).json({ error: `${field} must be a list of ids` });
+    if (value.length > NOTIFICATION_MAX_MUTES)
+      return res.status(400).json({ error: `${field} can hold at most ${NOTIFICATION_MAX_MUTES} ids` });
+    prefs[field] = [...new Set(value)];
+  }
+  if (quiet_hours !== undefined) {
+    if (quiet_hours === null) {
+      prefs.quiet_start = prefs.quiet_end = null;
+    } else if (!TIME_OF_DAY_RE.test(quiet_hours?.start) || !TIME_OF_DAY_RE.test(quiet_hours?.end)) {
+      return res.status(400).json({ error: 'quiet_hours needs start and end as HH:MM (24h)' });
+    } else {
+      prefs.quiet_start = quiet_hours.start;
+      prefs.quiet_end = quiet_hours.end;
+    }
+  }
+  if (timezone !== undefined) {
+    if (typeof timezone !== 'string' || !isValidTimezone(timezone))
+      return res.status(400).json({ error: 'timezone must be an IANA name such as "Europe/Berlin"' });
+    prefs.timezone = timezone;
+  }
+
+  const { data, error } = await sb.from('notification_preferences')
+    .upsert([{ ...prefs, user_id: req.user.id, updated_at: new Date().toISOString() }], { onConflict: 'user_id' })
+    .select().single();
+  if (error) return res.status(500).json({ error: error.message });
+  res.json({ ...data, available_types: NOTIFICATION_TYPES });
 });
 
-// POST /api/notifications — create a notification manually (event invites, etc.)
-app.post('/api/notifications', async (req, res) => {
+// ── LIVE STREAM ───────────────────────────────────────────────────────────────
+// Server-Sent Events replacing client polling. Every stream carries the
+// caller's notifications and incoming DMs; ?threads=a,b adds replies and likes
+// on those threads. Serverless instances don't share memory, so the stream
+// tails the stream_events table rather than an in-process emitter. Streams
+// end after STREAM_MAX_MS and EventSource reconnects with Last-Event-ID.
+const STREAM_POLL_MS          = 2000;
+const STREAM_HEARTBEAT_MS     = 25 * 1000;
+const STREAM_MAX_MS           = 5 * 60 * 1000;
+const STREAM_BATCH            = 100;
+const STREAM_MAX_THREADS      = 20;
+const STREAM_RETENTION_HOURS  = 24;
+const STREAM_PRUNE_EVERY_MS   = 10 * 60 * 1000;
+
+let lastStreamPrune = 0;
+function pruneStreamEvents(sb) {
+  if (Date.now() - lastStreamPrune < STREAM_PRUNE_EVERY_MS) return;
+  lastStreamPrune = Date.now();
+  const cutoff = new Date(Date.now() - STREAM_RETENTION_HOURS * 3600 * 1000).toISOString();
+  sb.from('stream_events').delete().lt('created_at', cutoff).then(() => {}, () => {});
+}
+
+// EventSource can't send headers, so this route also accepts ?access_token=
+function streamAuth(req, res, next) {
+  if (!req.headers.authorization && req.query.access_token)
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  requireAuth(req, res, next);
+}
+
+// GET /api/stream?threads=&last_event_id= — text/event-stream
+app.get('/api/stream', streamAuth, async (req, res) => {
   const sb = getSupabase();
   if (!sb) return dbError(res);
 
-  const { user_id, type, title, body, data } = req.body;
-  if (!user_id || !title)
-    return res.status(400).json({ error: 'user_id and title required' });
-
-  const { data: notif, error } = await sb
-    .from('notifications')
-    .insert([{
-      user_id,
-      type: type || 'event',
-      title,
-      body: body || '',
-      data: data || {},
-    }])
-    .select()
-    .single();
+  const threadIds = [...new Set(String(req.query.threads || '').split(',').filter(Boolean))];
+  if (threadIds.length > STREAM_MAX_THREADS)
+    return res.status(400).json({ error: `Subscribe to at most ${STREAM_MAX_THREADS} threads` });
+  if (!threadIds.every(id => UUID_RE.test(id)))
+    return res.status(400).json({ error: 'threads must be a comma-separated list of thread ids' });
+  for (const id of threadIds) {
+    const { data: thread } = await sb.from('threads')
+      .select('community_id, visibility, hidden').eq('id', id).maybeSingle();
+    if (!thread || thread.hidden || !(await canReadThread(sb, thread, req.user.id)))
+      return res.status(404).json({ error: 'Thread not found' });
+  }
+  const channels = [`user:${req.user.id}`, ...threadIds.map(id => `thread:${id}`)];
+
+  // Resume after the client's last seen id, else start from "now"
+  const resumeFrom = req.headers['last-event-id'] || req.query.last_event_id;
+  let lastId;
+  if (resumeFrom !== undefined) {
+    lastId = parseInt(resumeFrom);
+    if (!Number.isSafeInteger(lastId) || lastId < 0)
+      return res.status(400).json({ error: 'Invalid Last-Event-ID' });
+  } else {
+    const { data: newest } = await sb.from('stream_events')
+      .select('id').order('id', { ascending: false }).limit(1).maybeSingle();
+    lastId = newest?.id || 0;
+  }
+  pruneStreamEvents(sb);
 
-  if (error) return res.status(500).json({ error: error.message });
-  res.json(notif);
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${STREAM_POLL_MS}\n\n`);
+
+  let closed = false;
+  let lastWrite = Date.now();
+  let pollTimer;
+  const startedAt = Date.now();
+  const finish = () => {
+    if (closed) return;
+    closed = true;
+    clearTimeout(pollTimer);
+    res.end();
+  };
+  req.on('close', finish);
+
+  const poll = async () => {
+    if (closed) return;
+    const { data: rows } = await sb.from('stream_events')
+      .select('id, type, data')
+      .in('channel', channels)
+      .gt('id', lastId)
+      .order('id', { ascending: true })
+      .limit(STREAM_BATCH);
+    if (closed) return;
+    for (const row of rows || []) {
+      res.write(`id: ${row.id}\nevent: ${row.type}\ndata: ${JSON.stringify(row.data)}\n\n`);
+      lastId = row.id;
+      lastWrite = Date.now();
+    }
+    if (Date.now() - lastWrite >= STREAM_HEARTBEAT_MS) {
+      res.write(': heartbeat\n\n');
+      lastWrite = Date.now();
+    }
+    if (Date.now() - startedAt >= STREAM_MAX_MS) return finish();
+    // A full batch means there is more backlog to drain right away
+    pollTimer = setTimeout(() => poll().catch(finish), (rows || []).length === STREAM_BATCH ? 0 : STREAM_POLL_MS);
+  };
+  poll().catch(finish);
 });
 
-
 // ── COMMUNITIES ───────────────────────────────────────────────────────────────
+// Public communities are open. Private and paid ones are gated: joining needs
+// a moderator-approved request or an invite link, and their threads, replies
+// and member lists are only visible to members. Private communities are also
+// left out of GET /api/communities for non-members.
+// Members have a role: the owner (creator) manages moderators, moderators
+// review requests and moderate content and members.
+const GATED_COMMUNITY_TYPES = ['private', 'paid'];
+const MODERATOR_ROLES       = ['owner', 'moderator'];
+
+async function isCommunityMember(sb, communityId, userId) {
+  if (!userId) return false;
+  const { data } = await sb.from('community_members')
+    .select('id').eq('community_id', communityId).eq('user_id', userId).maybeSingle();
+  return !!data;
+}
+
+// The caller's membership row ({ id, role, muted_until }) or null
+async function communityMembership(sb, communityId, userId) {
+  if (!userId) return null;
+  const { data } = await sb.from('community_members')
+    .select('id, role, muted_until').eq('community_id', communityId).eq('user_id', userId).maybeSingle();
+  return data || null;
+}
+
+async function isCommunityModerator(sb, communityId, userId) {
+  const membership = await communityMembership(sb, communityId, userId);
+  return !!membership && MODERATOR_ROLES.includes(membership.role);
+}
+
+// Auto-hidden threads and replies stay visible to the community's
+// moderators and to platform admins, who review them
+async function canSeeHidden(sb, communityId, userId) {
+  if (!userId) return false;
+  if (await isCommunityModerator(sb, communityId, userId)) return true;
+  const { data } = await sb.from('users').select('role').eq('id', userId).maybeSingle();
+  return data?.role === 'admin';
+}
 
-// GET  /api/communities          — list all public communities
+async function activeBan(sb, communityId, userId) {
+  const { data } = await sb.from('community_bans')
+    .select('expires_at').eq('community_id', communityId).eq('user_id', userId).maybeSingle();
+  return data && (!data.expires_at || new Date(data.expires_at) > new Date()) ? data : null;
+}
+
+// Rejects posting when the member is muted; returns true if a response was sent
+function rejectIfMuted(membership, res) {
+  if (membership && membership.muted_until && new Date(membership.muted_until) > new Date()) {
+    res.status(403).json({ error: 'You are muted in this community until ' + membership.muted_until });
+    return true;
+  }
+  return false;
+}
+
+async function canReadCommunity(sb, community, userId) {
+  if (!GATED_COMMUNITY_TYPES.includes(community.type)) return true;
+  return isCommunityMember(sb, community.id, userId);
+}
+
+// Threads in gated communities, and members-only threads anywhere, need membership
+async function canReadThread(sb, thread, userId) {
+  const { data: community } = await sb.from('communities')
+    .select('id, type').eq('id', thread.community_id).maybeSingle();
+  if (!community) return false;
+  if (!GATED_COMMUNITY_TYPES.includes(community.type) && thread.visibility !== 'members') return true;
+  return isCommunityMember(sb, community.id, userId);
+}
+
+// GET  /api/communities          — list communities (private ones only to members)
 // GET  /api/communities?type=    — filter by type
-app.get('/api/communities', async (req, res) => {
+// Paged with ?limit=&cursor=, columns chosen with ?fields= (see Paging)
+const COMMUNITY_FIELDS = ['id', 'name', 'description', 'creator_id', 'type', 'created_at'];
+
+app.get('/api/communities', optionalAuth, async (req, res) => {
   const sb = getSupabase(); if (!sb) return dbError(res);
   const { type } = req.query;
-  let query = sb.from('communities').select('*, community_members(count)').order('created_at', { ascending: false });
+  const paging = parsePaging(req.query);
+  if (paging.error) return res.status(400).json({ error: paging.error });
+  const fields = selectFields(req.query.fields, COMMUNITY_FIELDS, [], '*');
+  if (fields.error) return res.status(400).json({ error: fields.error });
+
+  let memberOf = new Set();
+  if (req.user) {
+    const { data: rows } = await sb.from('community_members').select('community_id').eq('user_id', req.user.id);
+    memberOf = new Set((rows || []).map(r => r.community_id));
+  }
+
+  let query = sb.from('communities').select(`${fields.select}, community_members(count)`);
   if (type) query = query.eq('type', type);
+  query = memberOf.size
+    ? query.or(`type.neq.private,id.in.(${[...memberOf].join(',')})`)
+    : query.neq('type', 'private');
+  query = paging.paged ? keysetQuery(query, paging) : query.order('created_at', { ascending: false });
   const { data, error } = await query;
   if (error) return res.status(500).json({ error: error.message });
-  res.json(data || []);
+
+  const withMembership = rows => rows.map(c => ({ ...c, is_member: memberOf.has(c.id) }));
+  res.json(paging.paged ? pageOf(data || [], paging, withMembership) : withMembership(data || []));
+});
+
+// POST /api/communities/invites/:code — join through an invite link
+// (declared before the /:id routes so "invites" is never read as an id)
+app.post('/api/communities/invites/:code', requireAuth, async (req, res) => {
+  const sb = getSupabase(); if (!sb) return dbError(res);
+  const { data, error } = await sb.rpc('redeem_community_invite', { p_code: req.params.code, p_user: req.user.id });
+  if (error && /invite_invalid/.test(error.message))
+    return res.status(404).json({ error: 'This invite link is invalid or has expired' });
+  if (error && /banned/.test(error.message))
+    return res.status(403).json({ error: 'You are banned from this community' });
+  if (error) return res.status(500).json({ error: error.message });
+  res.json({ joined: true, community_id: data.community_id });
+});
+
+// DELETE /api/communities/invites/:code — revoke an invite (its creator or a moderator)
+app.delete('/api/communities/invites/:code', requireAuth, async (req, res) => {
+  const sb = getSupabase(); if (!sb) return dbError(res);
+  const { data: invite } = await sb.from('community_invites')
+    .select('id, community_id, created_by').eq('code', req.params.code).maybeSingle();
+  if (!invite) return res.status(404).json({ error: 'Invite not found' });
+  if (invite.created_by !== req.user.id && !(await isCommunityModerator(sb, invite.community_id, req.user.id)))
+    return res.status(403).json({ error: 'Not your invite' });
+  const { error } = await sb.from('community_invites').delete().eq('id', invite.id);
+  if (error) return res.status(500).json({ error: error.message });
+  res.json({ success: true });
 });
 
 // GET /api/communities/:id — single community with member count
-app.get('/api/communities/:id', async (req, res) => {
+// Non-members of a private community get a limited stub: name, type and
+// member count plus whether they can ask to join.
+app.get('/api/communities/:id', optionalAuth, async (req, res) => {
   const sb = getSupabase(); if (!sb) return dbError(res);
   const { data, error } = await sb
     .from('communities').select('*, community_members(count)').eq('id', req.params.id).maybeSingle();
   if (error) return res.status(500).json({ error: error.message });
   if (!data) return res.status(404).json({ error: 'Community not found' });
-  res.json(data);
+
+  const is_member = await isCommunityMember(sb, data.id, req.user?.id);
+  let has_pending_request = false;
+  if (!is_member && req.user) {
+    const { data: pending } = await sb.from('community_join_requests').select('id')
+      .eq('community_id', data.id).eq('user_id', req.user.id).eq('status', 'pending').maybeSingle();
+    has_pending_request = !!pending;
+  }
+  if (data.type === 'private' && !is_member) {
+    const banned = req.user ? !!(await activeBan(sb, data.id, req.user.id)) : false;
+    return res.json({
+      id: data.id, name: data.name, type: data.type, community_members: data.community_members,
+      limited: true, is_member, has_pending_request, can_request_join: !has_pending_request && !banned,
+    });
+  }
+  res.json({ ...data, is_member, has_pending_request });
+});
+
+// GET /api/communities/:id/members — member list (members only for gated communities)
+app.get('/api/communities/:id/members', optionalAuth, async (req, res) => {
+  const sb = getSupabase(); if (!sb) return dbError(res);
+  const { data: community } = await sb.from('communities').select('id, type').eq('id', req.params.id).maybeSingle();
+  if (!community) return res.status(404).json({ error: 'Community not found' });
+  if (!(await canReadCommunity(sb, community, req.user?.id)))
+    return res.status(403).json({ error: 'Only members can see who is in this community' });
+  const { data, error } = await sb.from('community_members')
+    .select('user_id, role, created_at, users(username, avatar)')
+    .eq('community_id', community.id).order('created_at', { ascending: true });
+  if (error) return res.status(500).json({ error: error.message });
+  res.json((data || []).map(({ users, ...m }) => ({ ...m, username: users?.username, avatar: users?.avatar })));
 });
 
 // POST /api/communities — create a new community
-app.post('/api/communities', async (req, res) => {
+app.post('/api/communities', requireAuth, requireVerified, async (req, res) => {
   const sb = getSupabase(); if (!sb) return dbError(res);
-  const { name, description, creator_id, type = 'public' } = req.body;
-  if (!name || !creator_id) return res.status(400).json({ error: 'name and creator_id required' });
+  const creator_id = req.user.id;
+  const { name, description, type = 'public' } = req.body;
+  if (!name) return res.status(400).json({ error: 'name required' });
   const { data, error } = await sb
     .from('communities')
     .insert([{ name, description: description || '', creator_id, type }])
     .select().single();
   if (error) return res.status(500).json({ error: error.message });
-  // Auto-join the creator
-  await sb.from('community_members').insert([{ user_id: creator_id, community_id: data.id }]).catch(() => {});
+  // Auto-join the creator as owner
+  await sb.from('community_members').insert([{ user_id: creator_id, community_id: data.id, role: 'owner' }]);
   res.json(data);
 });
 
-// POST /api/communities/:id/join — join or leave a community (toggle)
-app.post('/api/communities/:id/join', async (req, res) => {
+// POST /api/communities/:id/join — join or leave a community (toggle).
+// Gated communities get a pending join request instead (posting again cancels it).
+app.post('/api/communities/:id/join', requireAuth, async (req, res) => {
   const sb = getSupabase(); if (!sb) return dbError(res);
-  const { user_id } = req.body;
-  if (!user_id) return res.status(400).json({ error: 'user_id required' });
-  const { data: existing } = await sb.from('community_members')
-    .select('id').eq('user_id', user_id).eq('community_id', req.params.id).maybeSingle();
+  const user_id = req.user.id;
+  const { data: community } = await sb.from('communities')
+    .select('id, name, type, creator_id').eq('id', req.params.id).maybeSingle();
+  if (!community) return res.status(404).json({ error: 'Community not found' });
+
+  const existing = await communityMembership(sb, community.id, user_id);
   if (existing) {
+    if (existing.role === 'owner')
+      return res.status(400).json({ error: "Owners can't leave their own community" });
     await sb.from('community_members').delete().eq('id', existing.id);
     return res.json({ joined: false });
   }
-  await sb.from('community_members').insert([{ user_id, community_id: req.params.id }]);
-  res.json({ joined: true });
+  if (await activeBan(sb, community.id, user_id))
+    return res.status(403).json({ error: 'You are banned from this community' });
+
+  if (!GATED_COMMUNITY_TYPES.includes(community.type)) {
+    await sb.from('community_members').insert([{ user_id, community_id: community.id }]);
+    return res.json({ joined: true });
+  }
+
+  const { data: pending } = await sb.from('community_join_requests').select('id')
+    .eq('community_id', community.id).eq('user_id', user_id).eq('status', 'pending').maybeSingle();
+  if (pending) {
+    await sb.from('community_join_requests').delete().eq('id', pending.id);
+    return res.json({ joined: false, requested: false });
+  }
+
+  const { data: request, error } = await sb.from('community_join_requests')
+    .insert([{ community_id: community.id, user_id }]).select().single();
+  if (error) return res.status(500).json({ error: error.message });
+
+  const { data: requester } = await sb.from('users').select('username').eq('id', user_id).maybeSingle();
+  const { data: mods } = await sb.from('community_members')
+    .select('user_id').eq('community_id', community.id).in('role', MODERATOR_ROLES);
+  (mods || []).forEach(m => notify(sb, {
+    user_id: m.user_id, type: 'community_join_request',
+    title: `${requester?.username || 'Someone'} wants to join ${community.name} 🔐`,
+    body: 'Approve or reject the request.',
+    data: { community_id: community.id, request_id: request.id, user_id },
+  }));
+  res.json({ joined: false, requested: true, request });
+});
+
+// GET /api/communities/:id/requests — pending join requests (moderators)
+app.get('/api/communities/:id/requests', requireAuth, async (req, res) => {
+  const sb = getSupabase(); if (!sb) return dbError(res);
+  if (!(await isCommunityModerator(sb, req.params.id, req.user.id)))
+    return res.status(403).json({ error: 'Only community moderators can review requests' });
+  const { data, error } = await sb.from('community_join_requests')
+    .select('id, user_id, created_at, users!community_join_requests_user_id_fkey(username, avatar)')
+    .eq('community_id', req.params.id).eq('status', 'pending')
+    .order('created_at', { ascending: true });
+  if (error) return res.status(500).json({ error: error.message });
+  res.json((data || []).map(({ users, ...r }) => ({ ...r, username: users?.username, avatar: users?.avatar })));
+});
+
+// PATCH /api/communities/:id/requests/:requestId — { status: 'approved' | 'rejected' }
+app.patch('/api/communities/:id/requests/:requestId', requireAuth, async (req, res) => {
+  const sb = getSupabase(); if (!sb) return dbError(res);
+  const { status } = req.body;
+  if (!['approved', 'rejected'].includes(status))
+    return res.status(400).json({ error: 'status must be "approved" or "rejected"' });
+  if (!(await isCommunityModerator(sb, req.params.id, req.user.id)))
+    return res.status(403).json({ error: 'Only community moderators can review requests' });
+
+  const { data: request } = await sb.from('community_join_requests').select('*')
+    .eq('id', req.params.requestId).eq('community_id', req.params.id).maybeSingle();
+  if (!request) return res.status(404).json({ error: 'Join request not found' });
+  if (request.status !== 'pending') return res.status(409).json({ error: 'Request already ' + request.status });
+  if (status === 'approved' && await activeBan(sb, request.community_id, request.user_id))
+    return res.status(409).json({ error: 'This user is banned from the community' });
+
+  const { data, error } = await sb.from('community_join_requests')
+    .update({ status, decided_by: req.user.id, decided_at: new Date().toISOString() })
+    .eq('id', request.id).select().single();
+  if (error) return res.status(500).json({ error: error.message });
+
+  if (status === 'approved') {
+    await sb.from('community_members')
+      .upsert([{ user_id: request.user_id, community_id: request.community_id }],
+        { onConflict: 'user_id,community_id', ignoreDuplicates: true });
+  }
+  const { data: community } = await sb.from('communities').select('name').eq('id', request.community_id).maybeSingle();
+  notify(sb, {
+    user_id: request.user_id, type: 'community_join_' + status,
+    title: status === 'approved'
+      ? `You're in! Welcome to ${community?.name || 'the community'} 🎉`
+      : `Your request to join ${community?.name || 'the community'} was declined`,
+    body: '',
+    data: { community_id: request.community_id, request_id: request.id },
+  });
+  res.json(data);
+});
+
+// POST /api/communities/:id/invites — create an invite link (members only)
+// Optional { max_uses, expires_in_hours }
+app.post('/api/communities/:id/invites', requireAuth, async (req, res) => {
+  const sb = getSupabase(); if (!sb) return dbError(res);
+  if (!(await isCommunityMember(sb, req.params.id, req.user.id)))
+    return res.status(403).json({ error: 'Only members can invite people' });
+  const { max_uses, expires_in_hours } = req.body;
+  if (max_uses !== undefined && !(parseInt(max_uses) > 0))
+    return res.status(400).json({ error: 'max_uses must be a positive number' });
+  if (expires_in_hours !== undefined && !(Number(expires_in_hours) > 0))
+    return res.status(400).json({ error: 'expires_in_hours must be a positive number' });
+
+  const { data, error } = await sb.from('community_invites').insert([{
+    community_id: req.params.id,
+    code: crypto.randomBytes(9).toString('base64url'),
+    created_by: req.user.id,
+    max_uses: max_uses ? parseInt(max_uses) : null,
+    expires_at: expires_in_hours
+      ? new Date(Date.now() + Number(expires_in_hours) * 3600000).toISOString() : null,
+  }]).select().single();
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+// ── COMMUNITY MODERATION ──────────────────────────────────────────────────────
+// Owners promote/demote moderators; moderators can remove, mute and ban
+// members (but not other moderators or the owner). Every action notifies the
+// member it was taken against.
+
+// Loads the caller's and the target's memberships and checks the caller may
+// act on the target. Returns { community, target } or sends an error.
+async function loadModerationTarget(sb, req, res, { ownerOnly = false } = {}) {
+  const { data: community } = await sb.from('communities')
+    .select('id, name').eq('id', req.params.id).maybeSingle();
+  if (!community) { res.status(404).json({ error: 'Community not found' }); return null; }
+  const actor = await communityMembership(sb, community.id, req.user.id);
+  if (!actor || !MODERATOR_ROLES.includes(actor.role) || (ownerOnly && actor.role !== 'owner')) {
+    res.status(403).json({ error: ownerOnly ? 'Only the owner can do that' : 'Only moderators can do that' });
+    return null;
+  }
+  const targetId = req.params.userId || req.body.user_id;
+  if (!targetId) { res.status(400).json({ error: 'user_id required' }); return null; }
+  if (targetId === req.user.id) { res.status(400).json({ error: "You can't moderate yourself" }); return null; }
+  const target = await communityMembership(sb, community.id, targetId);
+  if (target && (target.role === 'owner' || (target.role === 'moderator' && actor.role !== 'owner'))) {
+    res.status(403).json({ error: 'You can only moderate members below your role' });
+    return null;
+  }
+  return { community, target, targetId };
+}
+
+// PATCH /api/communities/:id/members/:userId — { role: 'moderator' | 'member' } (owner)
+app.patch('/api/communities/:id/members/:userId', requireAuth, async (req, res) => {
+  const sb = getSupabase(); if (!sb) return dbError(res);
+  const { role } = req.body;
+  if (!['moderator', 'member'].includes(role))
+    return res.status(400).json({ error: 'role must be "moderator" or "member"' });
+  const ctx = await loadModerationTarget(sb, req, res, { ownerOnly: true });
+  if (!ctx) return;
+  if (!ctx.target) return res.status(404).json({ error: 'Not a member of this community' });
+
+  const { data, error } = await sb.from('community_members')
+    .update({ role }).eq('id', ctx.target.id).select('user_id, role').single();
+  if (error) return res.status(500).json({ error: error.message });
+  if (ctx.target.role !== role) {
+    notify(sb, {
+      user_id: ctx.targetId, type: 'community_role',
+      title: role === 'moderator'
+        ? `You're now a moderator of ${ctx.community.name} 🛡️`
+        : `You're no longer a moderator of ${ctx.community.name}`,
+      body: '', data: { community_id: ctx.community.id, role },
+    });
+  }
+  res.json(data);
+});
+
+// DELETE /api/communities/:id/members/:userId — remove a member
+app.delete('/api/communities/:id/members/:userId', requireAuth, async (req, res) => {
+  const sb = getSupabase(); if (!sb) return dbError(res);
+  const ctx = await loadModerationTarget(sb, req, res);
+  if (!ctx) return;
+  if (!ctx.target) return res.status(404).json({ error: 'Not a member of this community' });
+
+  const { error } = await sb.from('community_members').delete().eq('id', ctx.target.id);
+  if (error) return res.status(500).json({ error: error.message });
+  notify(sb, {
+    user_id: ctx.targetId, type: 'community_removed',
+    title: `You were removed from ${ctx.community.name}`,
+    body: req.body.reason || '', data: { community_id: ctx.community.id },
+  });
+  res.json({ success: true });
+});
+
+// POST /api/communities/:id/members/:userId/mute — { minutes } stops the member
+// posting threads and replies for that long
+app.post('/api/communities/:id/members/:userId/mute', requireAuth, async (req, res) => {
+  const sb = getSupabase(); if (!sb) return dbError(res);
+  const minutes = Number(req.body.minutes);
+  if (!(minutes > 0)) return res.status(400).json({ error: 'minutes must be a positive number' });
+  const ctx = await loadModerationTarget(sb, req, res);
+  if (!ctx) return;
+  if (!ctx.target) return res.status(404).json({ error: 'Not a member of this community' });
+
+  const muted_until = new Date(Date.now() + minutes * 60000).toISOString();
+  const { data, error } = await sb.from('community_members')
+    .update({ muted_until }).eq('id', ctx.target.id).select('user_id, role, muted_until').single();
+  if (error) return res.status(500).json({ error: error.message });
+  notify(sb, {
+    user_id: ctx.targetId, type: 'community_muted',
+    title: `You've been muted in ${ctx.community.name} 🔇`,
+    body: req.body.reason || `You can post again after ${muted_until}.`,
+    data: { community_id: ctx.community.id, muted_until },
+  });
+  res.json(data);
+});
+
+// DELETE /api/communities/:id/members/:userId/mute — lift a mute early
+app.delete('/api/communities/:id/members/:userId/mute', requireAuth, async (req, res) => {
+  const sb = getSupabase(); if (!sb) return dbError(res);
+  const ctx = await loadModerationTarget(sb, req, res);
+  if (!ctx) return;
+  if (!ctx.target) return res.status(404).json({ error: 'Not a member of this community' });
+
+  const { error } = await sb.from('community_members').update({ muted_until: null }).eq('id', ctx.target.id);
+  if (error) return res.status(500).json({ error: error.message });
+  notify(sb, {
+    user_id: ctx.targetId, type: 'community_unmuted',
+    title: `You can post in ${ctx.community.name} again`,
+    body: '', data: { community_id: ctx.community.id },
+  });
+  res.json({ success: true });
+});
+
+// POST /api/communities/:id/bans — { user_id, reason?, hours? } removes the
+// member and blocks rejoining; without hours the ban is permanent
+app.post('/api/communities/:id/bans', requireAuth, async (req, res) => {
+  const sb = getSupabase(); if (!sb) return dbError(res);
+  const { reason, hours } = req.body;
+  if (hours !== undefined && !(Number(hours) > 0))
+    return res.status(400).json({ error: 'hours must be a positive number' });
+  const ctx = await loadModerationTarget(sb, req, res);
+  if (!ctx) return;
+
+  const expires_at = hours ? new Date(Date.now() + Number(hours) * 3600000).toISOString() : null;
+  const { data, error } = await sb.from('community_bans')
+    .upsert([{
+      community_id: ctx.community.id, user_id: ctx.targetId, banned_by: req.user.id,
+      reason: reason || null, expires_at, created_at: new Date().toISOString(),
+    }], { onConflict: 'community_id,user_id' })
+    .select().single();
+  if (error) return res.status(500).json({ error: error.message });
+  if (ctx.target) await sb.from('community_members').delete().eq('id', ctx.target.id);
+  await sb.from('community_join_requests').delete()
+    .eq('community_id', ctx.community.id).eq('user_id', ctx.targetId).eq('status', 'pending');
+
+  notify(sb, {
+    user_id: ctx.targetId, type: 'community_banned',
+    title: `You've been banned from ${ctx.community.name} 🚫`,
+    body: reason || (expires_at ? `The ban ends ${expires_at}.` : ''),
+    data: { community_id: ctx.community.id, expires_at },
+  });
+  res.json(data);
+});
+
+// DELETE /api/communities/:id/bans/:userId — unban
+app.delete('/api/communities/:id/bans/:userId', requireAuth, async (req, res) => {
+  const sb = getSupabase(); if (!sb) return dbError(res);
+  const ctx = await loadModerationTarget(sb, req, res);
+  if (!ctx) return;
+
+  const { error } = await sb.from('community_bans')
+    .delete().eq('community_id', ctx.community.id).eq('user_id', ctx.targetId);
+  if (error) return res.status(500).json({ error: error.message });
+  notify(sb, {
+    user_id: ctx.targetId, type: 'community_unbanned',
+    title: `Your ban from ${ctx.community.name} was lifted`,
+    body: '', data: { community_id: ctx.community.id },
+  });
+  res.json({ success: true });
 });
 
 // ── THREADS ───────────────────────────────────────────────────────────────────
 
 // GET /api/threads?community_id= — threads for a community, smart-scored
-app.get('/api/threads', async (req, res) => {
+// Gated communities are members-only; members-only threads are dropped for outsiders.
+// Hidden threads and replies are listed for moderators only.
+// Paged with ?cursor=&limit= (see Paging): sort=new and sort=live page by
+// keyset, sort=hot scores the newest THREAD_HOT_CANDIDATES and pages by offset.
+// Without a cursor, ?limit (default PAGE_DEFAULT) caps the plain array.
+const THREAD_HOT_CANDIDATES = 500;
+
+app.get('/api/threads', optionalAuth, async (req, res) => {
   const sb = getSupabase(); if (!sb) return dbError(res);
-  const { community_id, sort = 'hot', limit = 30 } = req.query;
+  const { community_id, sort = 'hot' } = req.query;
   if (!community_id) return res.status(400).json({ error: 'community_id required' });
+  const hot = sort !== 'new' && sort !== 'live';
+  const paging = parsePaging(req.query, { offset: hot, cursorOnly: true });
+  const limit = parseInt(req.query.limit) || PAGE_DEFAULT;
+  if (paging.error) return res.status(400).json({ error: paging.error });
+  const { data: community } = await sb.from('communities').select('id, type').eq('id', community_id).maybeSingle();
+  if (!community) return res.status(404).json({ error: 'Community not found' });
+  const member = await isCommunityMember(sb, community.id, req.user?.id);
+  if (GATED_COMMUNITY_TYPES.includes(community.type) && !member)
+    return res.status(403).json({ error: 'Join this community to see its threads' });
   let query = sb.from('threads').select('*, replies(count), likes(count)')
-    .eq('community_id', community_id).limit(parseInt(limit));
-  if (sort === 'new')    query = query.order('created_at', { ascending: false });
-  else if (sort === 'live') query = query.eq('is_live', true).order('created_at', { ascending: false });
-  else query = query.order('created_at', { ascending: false }); // hot: sort in app
+    .eq('community_id', community_id);
+  if (!member) query = query.neq('visibility', 'members');
+  if (!(await canSeeHidden(sb, community.id, req.user?.id)))
+    query = query.eq('hidden', false).eq('replies.hidden', false);
+  if (sort === 'live') query = query.eq('is_live', true);
+  if (hot) // sorted in app
+    query = query.order('created_at', { ascending: false }).limit(paging.paged ? THREAD_HOT_CANDIDATES : limit);
+  else
+    query = paging.paged ? keysetQuery(query, paging) : query.order('created_at', { ascending: false }).limit(limit);
   const { data, error } = await query;
   if (error) return res.status(500).json({ error: error.message });
   // Compute smart score server-side
@@ -971,89 +5269,318 @@ app.get('/api/threads', async (req, res) => {
     ev._score = likes * 2 + replies * 3 + Math.max(0, 100 - ageH * 2);
     return ev;
   });
-  if (sort === 'hot') scored.sort((a, b) => b._score - a._score);
-  res.json(scored);
+  if (hot) scored.sort((a, b) => b._score - a._score);
+  if (!paging.paged) return res.json(scored);
+  res.json(hot ? offsetPageOf(scored, paging) : pageOf(scored, paging));
 });
 
-// GET /api/threads/:id — single thread
-app.get('/api/threads/:id', async (req, res) => {
+// GET /api/threads/:id — single thread (hidden ones only for moderators)
+app.get('/api/threads/:id', optionalAuth, async (req, res) => {
   const sb = getSupabase(); if (!sb) return dbError(res);
   const { data, error } = await sb.from('threads').select('*').eq('id', req.params.id).maybeSingle();
   if (error) return res.status(500).json({ error: error.message });
-  if (!data) return res.status(404).json({ error: 'Thread not found' });
+  if (!data || !(await canReadThread(sb, data, req.user?.id)) ||
+      (data.hidden && !(await canSeeHidden(sb, data.community_id, req.user?.id))))
+    return res.status(404).json({ error: 'Thread not found' });
   res.json(data);
 });
 
 // POST /api/threads — create a thread
-app.post('/api/threads', async (req, res) => {
+// Poll threads take poll_options: [...] (2–10 labels) or the older poll_a/poll_b
+// pair, plus an optional poll_closes_at timestamp.
+app.post('/api/threads', requireAuth, async (req, res) => {
   const sb = getSupabase(); if (!sb) return dbError(res);
-  const { community_id, user_id, title, content, type = 'discussion', poll_a, poll_b } = req.body;
-  if (!community_id || !user_id || !title)
-    return res.status(400).json({ error: 'community_id, user_id and title required' });
+  const user_id = req.user.id;
+  const { community_id, title, content, type = 'discussion', poll_a, poll_b, poll_closes_at } = req.body;
+  if (!community_id || !title)
+    return res.status(400).json({ error: 'community_id and title required' });
+  const { data: community } = await sb.from('communities').select('id, type').eq('id', community_id).maybeSingle();
+  if (!community) return res.status(404).json({ error: 'Community not found' });
+  if (!(await canReadCommunity(sb, community, user_id)))
+    return res.status(403).json({ error: 'Join this community to post' });
+  if (rejectIfMuted(await communityMembership(sb, community.id, user_id), res)) return;
+
+  const row = { community_id, user_id, title, content: content || '', type };
+  if (type === 'poll') {
+    const options = (Array.isArray(req.body.poll_options) ? req.body.poll_options : [poll_a, poll_b])
+      .map(o => String(o || '').trim()).filter(Boolean);
+    if (options.length < 2 || options.length > POLL_MAX_OPTIONS)
+      return res.status(400).json({ error: `Polls need 2–${POLL_MAX_OPTIONS} options` });
+    if (poll_closes_at && isNaN(Date.parse(poll_closes_at)))
+      return res.status(400).json({ error: 'poll_closes_at must be a valid date' });
+    Object.assign(row, {
+      poll_options: options, poll_a: options[0], poll_b: options[1],
+      poll_closes_at: poll_closes_at ? new Date(poll_closes_at).toISOString() : null,
+    });
+  }
   const { data, error } = await sb.from('threads')
-    .insert([{ community_id, user_id, title, content: content || '', type, poll_a, poll_b }])
+    .insert([row])
     .select().single();
   if (error) return res.status(500).json({ error: error.message });
   res.json(data);
 });
 
-// PATCH /api/threads/:id — update thread (live mode, pin, etc.)
-app.patch('/api/threads/:id', async (req, res) => {
+// PATCH /api/threads/:id — update thread (live mode, pin, lock, etc.)
+// Authors can change live mode, visibility and the pinned reply; community
+// moderators can also pin replies and lock/unlock the thread.
+app.patch('/api/threads/:id', requireAuth, async (req, res) => {
   const sb = getSupabase(); if (!sb) return dbError(res);
-  const allowed = ['is_live', 'visibility', 'pinned_reply_id'];
+  const { data: t } = await sb.from('threads')
+    .select('user_id, community_id, title, locked').eq('id', req.params.id).maybeSingle();
+  if (!t) return res.status(404).json({ error: 'Thread not found' });
+  const isAuthor = t.user_id === req.user.id;
+  const isMod    = await isCommunityModerator(sb, t.community_id, req.user.id);
+  if (!isAuthor && !isMod) return res.status(403).json({ error: 'Not your thread' });
+
+  const allowed = isAuthor ? ['is_live', 'visibility', 'pinned_reply_id'] : ['pinned_reply_id'];
+  if (isMod) allowed.push('locked');
   const updates = {};
   allowed.forEach(f => { if (req.body[f] !== undefined) updates[f] = req.body[f]; });
   if (!Object.keys(updates).length) return res.status(400).json({ error: 'Nothing to update' });
+
+  let pinned = null;
+  if (updates.pinned_reply_id) {
+    const { data: reply } = await sb.from('replies')
+      .select('id, user_id').eq('id', updates.pinned_reply_id).eq('thread_id', req.params.id).maybeSingle();
+    if (!reply) return res.status(400).json({ error: 'pinned_reply_id must be a reply in this thread' });
+    pinned = reply;
+  }
+
   const { data, error } = await sb.from('threads').update(updates).eq('id', req.params.id).select().single();
   if (error) return res.status(500).json({ error: error.message });
+
+  if (pinned && pinned.user_id && pinned.user_id !== req.user.id) {
+    notify(sb, {
+      user_id: pinned.user_id, type: 'reply_pinned',
+      title: 'Your reply was pinned in "' + (t.title || 'a thread') + '" 📌',
+      body: '', data: { thread_id: req.params.id, reply_id: pinned.id },
+    });
+  }
+  if (updates.locked !== undefined && !!updates.locked !== !!t.locked && t.user_id && !isAuthor) {
+    notify(sb, {
+      user_id: t.user_id, type: updates.locked ? 'thread_locked' : 'thread_unlocked',
+      title: `Your thread "${t.title || ''}" was ${updates.locked ? 'locked 🔒' : 'unlocked'}`,
+      body: '', data: { thread_id: req.params.id },
+    });
+  }
   res.json(data);
 });
 
-// DELETE /api/threads/:id — delete own thread
-app.delete('/api/threads/:id', async (req, res) => {
+// DELETE /api/threads/:id — delete own thread (or any thread, for moderators)
+app.delete('/api/threads/:id', requireAuth, async (req, res) => {
   const sb = getSupabase(); if (!sb) return dbError(res);
-  const { userId } = req.body;
-  if (userId) {
-    const { data: t } = await sb.from('threads').select('user_id').eq('id', req.params.id).maybeSingle();
-    if (t && t.user_id !== userId) return res.status(403).json({ error: 'Not your thread' });
-  }
-  await sb.from('replies').delete().eq('thread_id', req.params.id).catch(() => {});
+  const { data: t } = await sb.from('threads')
+    .select('user_id, community_id, title').eq('id', req.params.id).maybeSingle();
+  if (!t) return res.status(404).json({ error: 'Thread not found' });
+  const isAuthor = t.user_id === req.user.id;
+  if (!isAuthor && !(await isCommunityModerator(sb, t.community_id, req.user.id)))
+    return res.status(403).json({ error: 'Not your thread' });
+  await sb.from('replies').delete().eq('thread_id', req.params.id);
   const { error } = await sb.from('threads').delete().eq('id', req.params.id);
   if (error) return res.status(500).json({ error: error.message });
+  if (!isAuthor && t.user_id) {
+    notify(sb, {
+      user_id: t.user_id, type: 'thread_removed',
+      title: `Your thread "${t.title || ''}" was removed by a moderator`,
+      body: req.body.reason || '', data: { community_id: t.community_id },
+    });
+  }
   res.json({ success: true });
 });
 
+// ── POLLS ─────────────────────────────────────────────────────────────────────
+// One row per voter in poll_votes; results are always counted from those rows.
+// votes_a / votes_b are refreshed after each vote for clients that still read them.
+const POLL_MAX_OPTIONS = 10;
+
+function pollOptions(thread) {
+  if (Array.isArray(thread.poll_options) && thread.poll_options.length) return thread.poll_options;
+  return [thread.poll_a, thread.poll_b].filter(Boolean);
+}
+
+async function pollResults(sb, thread, userId) {
+  const options = pollOptions(thread);
+  const { data: votes, error } = await sb
+    .from('poll_votes').select('user_id, option_index').eq('thread_id', thread.id);
+  if (error) throw error;
+  const counts = options.map(() => 0);
+  let myVote = null;
+  (votes || []).forEach(v => {
+    if (v.option_index < counts.length) counts[v.option_index]++;
+    if (userId && v.user_id === userId) myVote = v.option_index;
+  });
+  const total = counts.reduce((a, b) => a + b, 0);
+  return {
+    thread_id: thread.id,
+    options: options.map((label, index) => ({
+      index, label, votes: counts[index],
+      percent: total ? Math.round((counts[index] / total) * 1000) / 10 : 0,
+    })),
+    total_votes: total,
+    my_vote: myVote,
+    closes_at: thread.poll_closes_at || null,
+    closed: !!thread.poll_closes_at && new Date(thread.poll_closes_at) <= new Date(),
+  };
+}
+
+async function loadPoll(sb, id, userId, res) {
+  const { data: thread } = await sb.from('threads')
+    .select('id, community_id, visibility, type, poll_a, poll_b, poll_options, poll_closes_at')
+    .eq('id', id).maybeSingle();
+  if (!thread || !(await canReadThread(sb, thread, userId))) {
+    res.status(404).json({ error: 'Thread not found' });
+    return null;
+  }
+  if (thread.type !== 'poll' || pollOptions(thread).length < 2) {
+    res.status(400).json({ error: 'This thread is not a poll' });
+    return null;
+  }
+  return thread;
+}
+
+// GET /api/threads/:id/poll — counts, percentages and the caller's own vote
+app.get('/api/threads/:id/poll', optionalAuth, async (req, res) => {
+  const sb = getSupabase(); if (!sb) return dbError(res);
+  const thread = await loadPoll(sb, req.params.id, req.user?.id, res);
+  if (!thread) return;
+  try {
+    res.json(await pollResults(sb, thread, req.user?.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/threads/:id/vote — { option } casts or changes a vote;
+// voting for your current option again withdraws it (same toggle as RSVPs)
+app.post('/api/threads/:id/vote', requireAuth, async (req, res) => {
+  const sb = getSupabase(); if (!sb) return dbError(res);
+  const thread = await loadPoll(sb, req.params.id, req.user?.id, res);
+  if (!thread) return;
+
+  const option = parseInt(req.body.option, 10);
+  if (isNaN(option) || option < 0 || option >= pollOptions(thread).length)
+    return res.status(400).json({ error: 'option must be a valid option index' });
+  if (thread.poll_closes_at && new Date(thread.poll_closes_at) <= new Date())
+    return res.status(409).json({ error: 'This poll is closed' });
+
+  const { data: existing } = await sb.from('poll_votes')
+    .select('id, option_index').eq('thread_id', thread.id).eq('user_id', req.user.id).maybeSingle();
+
+  let error;
+  if (existing && existing.option_index === option) {
+    ({ error } = await sb.from('poll_votes').delete().eq('id', existing.id));
+  } else if (existing) {
+    ({ error } = await sb.from('poll_votes').update({ option_index: option }).eq('id', existing.id));
+  } else {
+    ({ error } = await sb.from('poll_votes')
+      .upsert([{ thread_id: thread.id, user_id: req.user.id, option_index: option }],
+        { onConflict: 'thread_id,user_id' }));
+  }
+  if (error) return res.status(500).json({ error: error.message });
+
+  await syncPollCounters(sb, thread, req.user.id, res);
+});
+
+// DELETE /api/threads/:id/vote — withdraw the caller's vote
+app.delete('/api/threads/:id/vote', requireAuth, async (req, res) => {
+  const sb = getSupabase(); if (!sb) return dbError(res);
+  const thread = await loadPoll(sb, req.params.id, req.user?.id, res);
+  if (!thread) return;
+  if (thread.poll_closes_at && new Date(thread.poll_closes_at) <= new Date())
+    return res.status(409).json({ error: 'This poll is closed' });
+
+  const { error } = await sb.from('poll_votes')
+    .delete().eq('thread_id', thread.id).eq('user_id', req.user.id);
+  if (error) return res.status(500).json({ error: error.message });
+
+  await syncPollCounters(sb, thread, req.user.id, res);
+});
+
+// Recounts, mirrors the first two options into votes_a / votes_b, responds with results
+async function syncPollCounters(sb, thread, userId, res) {
+  try {
+    const results = await pollResults(sb, thread, userId);
+    await sb.from('threads').update({
+      votes_a: results.options[0].votes,
+      votes_b: results.options[1].votes,
+    }).eq('id', thread.id);
+    res.json(results);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
 // ── REPLIES ───────────────────────────────────────────────────────────────────
 
-// GET /api/replies?thread_id= — replies for a thread, paginated
-app.get('/api/replies', async (req, res) => {
+const DEBATE_SIDES = ['for', 'against'];
+
+// GET /api/replies?thread_id= — replies for a thread, oldest first; hidden ones
+// only for moderators.
+// ?side=for|against narrows a debate thread to one side, ?before= to replies
+// created before a timestamp. Paged with ?cursor=&limit= (see Paging); without
+// a cursor, ?limit (default REPLIES_UNPAGED) caps the plain array.
+const REPLIES_UNPAGED = 50;
+
+app.get('/api/replies', optionalAuth, async (req, res) => {
   const sb = getSupabase(); if (!sb) return dbError(res);
-  const { thread_id, before, limit = 50 } = req.query;
+  const { thread_id, side, before } = req.query;
   if (!thread_id) return res.status(400).json({ error: 'thread_id required' });
-  let query = sb.from('replies').select('*').eq('thread_id', thread_id)
-    .order('created_at', { ascending: true }).limit(parseInt(limit));
+  const paging = parsePaging(req.query, { cursorOnly: true });
+  if (paging.error) return res.status(400).json({ error: paging.error });
+  const { data: thread } = await sb.from('threads')
+    .select('id, community_id, visibility').eq('id', thread_id).maybeSingle();
+  if (!thread || !(await canReadThread(sb, thread, req.user?.id)))
+    return res.status(404).json({ error: 'Thread not found' });
+  if (side && !DEBATE_SIDES.includes(side))
+    return res.status(400).json({ error: 'side must be "for" or "against"' });
+  let query = sb.from('replies').select('*').eq('thread_id', thread_id);
+  if (!(await canSeeHidden(sb, thread.community_id, req.user?.id))) query = query.eq('hidden', false);
   if (before) query = query.lt('created_at', before);
+  if (side) query = query.eq('debate_side', side);
+  query = paging.paged
+    ? keysetQuery(query, paging, { ascending: true })
+    : query.order('created_at', { ascending: true }).limit(parseInt(req.query.limit) || REPLIES_UNPAGED);
   const { data, error } = await query;
   if (error) return res.status(500).json({ error: error.message });
-  res.json(data || []);
+  res.json(paging.paged ? pageOf(data || [], paging) : (data || []));
 });
 
 // POST /api/replies — post a reply
-app.post('/api/replies', async (req, res) => {
+app.post('/api/replies', requireAuth, async (req, res) => {
   const sb = getSupabase(); if (!sb) return dbError(res);
-  const { thread_id, user_id, content, media_url, voice_note_url, debate_side } = req.body;
-  if (!thread_id || !user_id || !content)
-    return res.status(400).json({ error: 'thread_id, user_id and content required' });
+  const user_id = req.user.id;
+  const { thread_id, content, media_url, voice_note_url, debate_side } = req.body;
+  if (!thread_id || !content)
+    return res.status(400).json({ error: 'thread_id and content required' });
   if (content.length > 2000) return res.status(400).json({ error: 'Reply too long (max 2000 chars)' });
 
+  const { data: thread } = await sb.from('threads')
+    .select('user_id, title, type, community_id, visibility, locked').eq('id', thread_id).maybeSingle();
+  if (!thread || !(await canReadThread(sb, thread, user_id)))
+    return res.status(404).json({ error: 'Thread not found' });
+  const membership = await communityMembership(sb, thread.community_id, user_id);
+  if (rejectIfMuted(membership, res)) return;
+  if (thread.locked && !(membership && MODERATOR_ROLES.includes(membership.role)))
+    return res.status(403).json({ error: 'This thread is locked' });
+
+  // Debate replies must pick a side; other threads must not carry one
+  if (thread.type === 'debate' && !DEBATE_SIDES.includes(debate_side))
+    return res.status(400).json({ error: 'debate_side must be "for" or "against" in a debate' });
+  if (thread.type !== 'debate' && debate_side)
+    return res.status(400).json({ error: 'debate_side is only allowed in debate threads' });
+
   const { data, error } = await sb.from('replies')
-    .insert([{ thread_id, user_id, content, media_url: media_url || null, voice_note_url: voice_note_url || null }])
+    .insert([{
+      thread_id, user_id, content,
+      media_url: media_url || null, voice_note_url: voice_note_url || null,
+      debate_side: thread.type === 'debate' ? debate_side : null,
+    }])
     .select().single();
   if (error) return res.status(500).json({ error: error.message });
+  publish(sb, `thread:${thread_id}`, 'reply', data);
 
   // Notify thread owner
-  const { data: thread } = await sb.from('threads').select('user_id, title').eq('id', thread_id).maybeSingle();
-  if (thread && thread.user_id !== user_id) {
+  if (thread.user_id !== user_id) {
     notify(sb, {
       user_id: thread.user_id, type: 'reply',
       title: 'New reply in "' + (thread.title || 'your thread') + '"',
@@ -1062,11 +5589,12 @@ app.post('/api/replies', async (req, res) => {
     });
   }
 
-  // Parse mentions and notify
+  // Parse mentions and notify (never across a block)
   const mentions = (content.match(/@(\w+)/g) || []).map(m => m.slice(1));
   for (const username of mentions) {
     const { data: mentionedUser } = await sb.from('users').select('id').ilike('username', username).maybeSingle();
-    if (mentionedUser && mentionedUser.id !== user_id) {
+    if (mentionedUser && mentionedUser.id !== user_id &&
+        !(await isBlockedBetween(sb, user_id, mentionedUser.id))) {
       notify(sb, {
         user_id: mentionedUser.id, type: 'mention',
         title: 'You were mentioned in a thread!',
@@ -1079,35 +5607,97 @@ app.post('/api/replies', async (req, res) => {
   res.json(data);
 });
 
-// DELETE /api/replies/:id — delete own reply
-app.delete('/api/replies/:id', async (req, res) => {
+// DELETE /api/replies/:id — delete own reply (or any reply, for moderators)
+app.delete('/api/replies/:id', requireAuth, async (req, res) => {
   const sb = getSupabase(); if (!sb) return dbError(res);
-  const { userId } = req.body;
-  if (userId) {
-    const { data: r } = await sb.from('replies').select('user_id').eq('id', req.params.id).maybeSingle();
-    if (r && r.user_id !== userId) return res.status(403).json({ error: 'Not your reply' });
-  }
+  const { data: r } = await sb.from('replies')
+    .select('user_id, thread_id, threads(community_id, title)').eq('id', req.params.id).maybeSingle();
+  if (!r) return res.status(404).json({ error: 'Reply not found' });
+  const isAuthor = r.user_id === req.user.id;
+  if (!isAuthor && !(await isCommunityModerator(sb, r.threads?.community_id, req.user.id)))
+    return res.status(403).json({ error: 'Not your reply' });
   const { error } = await sb.from('replies').delete().eq('id', req.params.id);
   if (error) return res.status(500).json({ error: error.message });
+  if (!isAuthor && r.user_id) {
+    notify(sb, {
+      user_id: r.user_id, type: 'reply_removed',
+      title: 'Your reply in "' + (r.threads?.title || 'a thread') + '" was removed by a moderator',
+      body: req.body.reason || '', data: { thread_id: r.thread_id },
+    });
+  }
   res.json({ success: true });
 });
 
+// ── DEBATES ───────────────────────────────────────────────────────────────────
+
+// GET /api/threads/:id/debate — live scoreboard: replies, likes and the
+// top-liked argument per side. Hidden replies count only for moderators.
+app.get('/api/threads/:id/debate', optionalAuth, async (req, res) => {
+  const sb = getSupabase(); if (!sb) return dbError(res);
+  const { data: thread } = await sb.from('threads')
+    .select('id, type, community_id, visibility, hidden').eq('id', req.params.id).maybeSingle();
+  if (!thread || !(await canReadThread(sb, thread, req.user?.id)))
+    return res.status(404).json({ error: 'Thread not found' });
+  const moderator = await canSeeHidden(sb, thread.community_id, req.user?.id);
+  if (thread.hidden && !moderator) return res.status(404).json({ error: 'Thread not found' });
+  if (thread.type !== 'debate') return res.status(400).json({ error: 'This thread is not a debate' });
+
+  let query = sb.from('replies')
+    .select('id, user_id, content, debate_side, created_at, likes(count)')
+    .eq('thread_id', thread.id)
+    .not('debate_side', 'is', null);
+  if (!moderator) query = query.eq('hidden', false);
+  const { data, error } = await query;
+  if (error) return res.status(500).json({ error: error.message });
+
+  const sides = {};
+  DEBATE_SIDES.forEach(s => { sides[s] = { replies: 0, likes: 0, top_argument: null }; });
+  (data || []).forEach(({ likes, ...reply }) => {
+    const side = sides[reply.debate_side];
+    if (!side) return;
+    const count = likes?.[0]?.count || 0;
+    side.replies++;
+    side.likes += count;
+    // Ties go to the earlier argument
+    const top = side.top_argument;
+    if (count > 0 && (!top || count > top.likes ||
+        (count === top.likes && reply.created_at < top.created_at))) {
+      side.top_argument = { ...reply, likes: count };
+    }
+  });
+
+  res.json({ thread_id: thread.id, sides });
+});
+
 // ── LIKES (threads + replies) ─────────────────────────────────────────────────
 
 // POST /api/likes — toggle like on thread or reply
-app.post('/api/likes', async (req, res) => {
+app.post('/api/likes', requireAuth, async (req, res) => {
   const sb = getSupabase(); if (!sb) return dbError(res);
-  const { user_id, thread_id, reply_id } = req.body;
-  if (!user_id || (!thread_id && !reply_id))
-    return res.status(400).json({ error: 'user_id and (thread_id or reply_id) required' });
+  const user_id = req.user.id;
+  const { thread_id, reply_id } = req.body;
+  if (!thread_id && !reply_id)
+    return res.status(400).json({ error: 'thread_id or reply_id required' });
 
   let query = sb.from('likes').select('id').eq('user_id', user_id);
   if (thread_id) query = query.eq('thread_id', thread_id);
   if (reply_id)  query = query.eq('reply_id', reply_id);
   const { data: existing } = await query.maybeSingle();
 
+  // Live subscribers listen per thread, so reply likes resolve their thread
+  let streamThread = thread_id;
+  if (!streamThread) {
+    const { data: r } = await sb.from('replies').select('thread_id').eq('id', reply_id).maybeSingle();
+    streamThread = r?.thread_id;
+  }
+  const publishLike = liked => {
+    if (streamThread) publish(sb, `thread:${streamThread}`, 'like',
+      { thread_id: streamThread, reply_id: reply_id || null, user_id, liked });
+  };
+
   if (existing) {
     await sb.from('likes').delete().eq('id', existing.id);
+    publishLike(false);
     return res.json({ liked: false });
   }
 
@@ -1116,13 +5706,17 @@ app.post('/api/likes', async (req, res) => {
   if (reply_id)  ins.reply_id  = reply_id;
   const { data, error } = await sb.from('likes').insert([ins]).select().single();
   if (error) return res.status(500).json({ error: error.message });
+  publishLike(true);
 
   // Notify content owner
   if (thread_id) {
     const { data: t } = await sb.from('threads').select('user_id, title').eq('id', thread_id).maybeSingle();
     if (t && t.user_id !== user_id) {
-      notify(sb, { user_id: t.user_id, type: 'like', title: 'Someone liked your thread "' + (t.title||'') + '" ❤️',
-        body: '', data: { thread_id, liker_id: user_id } });
+      const { data: liker } = await sb.from('users').select('username').eq('id', user_id).maybeSingle();
+      const action = 'liked your thread "' + (t.title||'') + '" ❤️';
+      notify(sb, { user_id: t.user_id, type: 'like', title: (liker?.username || 'Someone') + ' ' + action,
+        body: '', data: { thread_id, liker_id: user_id },
+        group: { key: 'thread:' + thread_id, actor_id: user_id, actor_name: liker?.username, action_many: action } });
     }
   }
 
@@ -1169,6 +5763,193 @@ app.get('/api/reputation/:userId', async (req, res) => {
   });
 });
 
+// ── REPORTS ───────────────────────────────────────────────────────────────────
+// Anyone signed in can report content or a profile. Threads, replies and event
+// comments that collect REPORT_HIDE_THRESHOLD open reports are hidden from
+// listings until an admin reviews them. Admins work the queue: claim a report,
+// then resolve it by dismissing, removing the content, warning the author or
+// suspending their account. Resolving closes every open report on that target.
+const REPORT_HIDE_THRESHOLD = parseInt(process.env.REPORT_HIDE_THRESHOLD) || 3;
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'nudity', 'violence', 'misinformation', 'other'];
+const REPORT_TARGETS = {
+  thread:  { table: 'threads',  author: 'user_id',   hideable: true },
+  reply:   { table: 'replies',  author: 'user_id',   hideable: true },
+  comment: { table: 'comments', author: 'user_id',   hideable: true },
+  message: { table: 'messages', author: 'from_user', hideable: false },
+  user:    { table: 'users',    author: 'id',        hideable: false },
+};
+const REPORT_ACTIONS = ['dismiss', 'remove', 'warn', 'suspend'];
+
+// POST /api/reports — { target_type, target_id, reason, details? }
+app.post('/api/reports', requireAuth, async (req, res) => {
+  const sb = getSupabase(); if (!sb) return dbError(res);
+  const { target_type, target_id, reason, details } = req.body;
+  const target = REPORT_TARGETS[target_type];
+  if (!target) return res.status(400).json({ error: 'target_type must be one of ' + Object.keys(REPORT_TARGETS).join(', ') });
+  if (!target_id) return res.status(400).json({ error: 'target_id required' });
+  if (!REPORT_REASONS.includes(reason)) return res.status(400).json({ error: 'reason must be one of ' + REPORT_REASONS.join(', ') });
+  if (details && details.length > 1000) return res.status(400).json({ error: 'Details too long (max 1000 chars)' });
+
+  const cols = { message: 'id, from_user, to_user', user: 'id' }[target_type] || `id, ${target.author}`;
+  const { data: row } = await sb.from(target.table).select(cols).eq('id', target_id).maybeSingle();
+  // DMs can only be reported by someone in the conversation
+  if (!row || (target_type === 'message' && row.from_user !== req.user.id && row.to_user !== req.user.id))
+    return res.status(404).json({ error: 'Reported content not found' });
+  if (row[target.author] === req.user.id) return res.status(400).json({ error: "You can't report yourself" });
+
+  const { data, error } = await sb.from('reports').insert([{
+    reporter_id: req.user.id, target_type, target_id,
+    target_user: row[target.author] || null, reason, details: details || null,
+  }]).select().single();
+  if (error && error.code === '23505') return res.status(409).json({ error: 'You already reported this' });
+  if (error) return res.status(500).json({ error: error.message });
+
+  if (target.hideable) {
+    const { count } = await sb.from('reports').select('id', { count: 'exact', head: true })
+      .eq('target_type', target_type).eq('target_id', target_id).in('status', ['open', 'claimed']);
+    if (count >= REPORT_HIDE_THRESHOLD)
+      await sb.from(target.table).update({ hidden: true }).eq('id', target_id);
+  }
+  res.json(data);
+});
+
+// GET /api/admin/reports?status=&target_type=&reason=&claimed_by=&limit= — the queue,
+// oldest first. Each report carries how many open reports its target has.
+app.get('/api/admin/reports', requireAuth, requireAdmin, async (req, res) => {
+  const sb = getSupabase(); if (!sb) return dbError(res);
+  const { status = 'open', target_type, reason, claimed_by, limit = 50 } = req.query;
+  let query = sb.from('reports').select('*').order('created_at', { ascending: true }).limit(parseInt(limit));
+  if (status !== 'all') query = query.eq('status', status);
+  if (target_type) query = query.eq('target_type', target_type);
+  if (reason)      query = query.eq('reason', reason);
+  if (claimed_by)  query = query.eq('claimed_by', claimed_by === 'me' ? req.user.id : claimed_by);
+  const { data, error } = await query;
+  if (error) return res.status(500).json({ error: error.message });
+
+  const reports = data || [];
+  const { data: open } = reports.length
+    ? await sb.from('reports').select('target_id')
+      .in('target_id', [...new Set(reports.map(r => r.target_id))]).in('status', ['open', 'claimed'])
+    : { data: [] };
+  const counts = {};
+  (open || []).forEach(r => { counts[r.target_id] = (counts[r.target_id] || 0) + 1; });
+  res.json(reports.map(r => ({ ...r, target_open_reports: counts[r.target_id] || 0 })));
+});
+
+// POST /api/admin/reports/:id/claim — take a report so other admins skip it
+app.post('/api/admin/reports/:id/claim', requireAuth, requireAdmin, async (req, res) => {
+  const sb = getSupabase(); if (!sb) return dbError(res);
+  const { data, error } = await sb.from('reports')
+    .update({ status: 'claimed', claimed_by: req.user.id, claimed_at: new Date().toISOString() })
+    .eq('id', req.params.id).eq('status', 'open')
+    .select().maybeSingle();
+  if (error) return res.status(500).json({ error: error.message });
+  if (!data) return res.status(409).json({ error: 'Report is not open (already claimed or resolved)' });
+  res.json(data);
+});
+
+// POST /api/admin/reports/:id/resolve — { action, note?, suspend_days? }
+// action: dismiss | remove | warn | suspend
+app.post('/api/admin/reports/:id/resolve', requireAuth, requireAdmin, async (req, res) => {
+  const sb = getSupabase(); if (!sb) return dbError(res);
+  const { action, note, suspend_days = 7 } = req.body;
+  if (!REPORT_ACTIONS.includes(action))
+    return res.status(400).json({ error: 'action must be one of ' + REPORT_ACTIONS.join(', ') });
+
+  const { data: report } = await sb.from('reports').select('*').eq('id', req.params.id).maybeSingle();
+  if (!report) return res.status(404).json({ error: 'Report not found' });
+  if (['resolved', 'dismissed'].includes(report.status))
+    return res.status(409).json({ error: 'Report already ' + report.status });
+  if (report.status === 'claimed' && report.claimed_by !== req.user.id)
+    return res.status(409).json({ error: 'Another admin has claimed this report' });
+
+  const target = REPORT_TARGETS[report.target_type];
+  if (action === 'remove' && report.target_type === 'user')
+    return res.status(400).json({ error: 'Profiles cannot be removed; warn or suspend instead' });
+  if ((action === 'warn' || action === 'suspend') && !report.target_user)
+    return res.status(400).json({ error: 'The author of this content no longer exists' });
+  if (action === 'suspend' && !(Number(suspend_days) > 0))
+    return res.status(400).json({ error: 'suspend_days must be a positive number' });
+
+  const now = new Date().toISOString();
+  if (action === 'dismiss' && target.hideable) {
+    await sb.from(target.table).update({ hidden: false }).eq('id', report.target_id);
+  } else if (action === 'remove') {
+    const { error } = await sb.from(target.table).delete().eq('id', report.target_id);
+    if (error) return res.status(500).json({ error: error.message });
+  } else if (action === 'suspend') {
+    const until = new Date(Date.now() + Number(suspend_days) * 86400000).toISOString();
+    const { error } = await sb.from('users').update({ suspended_until: until, online: false }).eq('id', report.target_user);
+    if (error) return res.status(500).json({ error: error.message });
+    // Kill every session so the suspension takes effect immediately
+    await sb.from('sessions').update({ revoked_at: now }).eq('user_id', report.target_user).is('revoked_at', null);
+  }
+
+  const resolution = { dismiss: 'dismissed', remove: 'removed', warn: 'warned', suspend: 'suspended' }[action];
+  const { error } = await sb.from('reports').update({
+    status: action === 'dismiss' ? 'dismissed' : 'resolved',
+    resolution, note: note || null, resolved_by: req.user.id, resolved_at: now,
+  }).eq('target_type', report.target_type).eq('target_id', report.target_id).in('status', ['open', 'claimed']);
+  if (error) return res.status(500).json({ error: error.message });
+
+  if (action !== 'dismiss' && report.target_user) {
+    const what = report.target_type === 'user' ? 'your profile' : `your ${report.target_type}`;
+    notify(sb, {
+      user_id: report.target_user, type: 'moderation_' + resolution,
+      title: {
+        removed: `A moderator removed ${what} ⚠️`,
+        warned: `Warning: ${what} was reported and breaks our community rules ⚠️`,
+        suspended: `Your account has been suspended for ${Number(suspend_days)} days`,
+      }[resolution],
+      body: note || `Reason: ${report.reason}`,
+      data: { report_id: report.id, target_type: report.target_type, target_id: report.target_id },
+    });
+  }
+
+  const { data } = await sb.from('reports').select('*').eq('id', report.id).single();
+  res.json(data);
+});
+
+// ── SEARCH ────────────────────────────────────────────────────────────────────
+// GET /api/search?q=&types=event,community,thread,user&limit=&cursor=
+// One ranked list across events, communities, threads and users (see
+// search_all in the schema). Returns { items, next_cursor, facets, total }:
+// facets count matches per type regardless of ?types (capped at 1000 per
+// type), so the client can show tabs. Snippets are HTML-escaped text with
+// <mark> around matched words.
+const SEARCH_TYPES      = ['event', 'community', 'thread', 'user'];
+const SEARCH_MIN_LENGTH = 2;
+const SEARCH_MAX_LENGTH = 200;
+const SEARCH_SIMILARITY = 0.45;
+
+app.get('/api/search', optionalAuth, async (req, res) => {
+  const sb = getSupabase(); if (!sb) return dbError(res);
+
+  const q = String(req.query.q || '').trim();
+  if (q.length < SEARCH_MIN_LENGTH || q.length > SEARCH_MAX_LENGTH)
+    return res.status(400).json({ error: `q must be ${SEARCH_MIN_LENGTH}–${SEARCH_MAX_LENGTH} characters` });
+  const types = req.query.types ? String(req.query.types).split(',').map(t => t.trim()).filter(Boolean) : null;
+  if (types && !types.every(t => SEARCH_TYPES.includes(t)))
+    return res.status(400).json({ error: `types must be a comma-separated list of: ${SEARCH_TYPES.join(', ')}` });
+  const paging = parsePaging({ limit: req.query.limit || PAGE_DEFAULT, cursor: req.query.cursor }, { offset: true });
+  if (paging.error) return res.status(400).json({ error: paging.error });
+  const offset = paging.after ? paging.after.o : 0;
+
+  const { data, error } = await sb.rpc('search_all', {
+    p_query: q, p_user: req.user ? req.user.id : null, p_types: types,
+    p_limit: paging.limit, p_offset: offset, p_similarity: SEARCH_SIMILARITY,
+  });
+  if (error) return res.status(500).json({ error: error.message });
+
+  const end = offset + data.items.length;
+  res.json({
+    items: data.items.map(({ extra, ...hit }) => ({ ...hit, ...extra })),
+    next_cursor: end < data.total ? encodeCursor({ o: end }) : null,
+    facets: data.facets,
+    total: data.total,
+  });
+});
+
 // ── EXPORT ────────────────────────────────────────────────────────────────────
 module.exports = app;
 